@@ -1,431 +1,139 @@
 #!/usr/bin/env node
 
 const fs = require('fs');
-const path = require('path');
 const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream');
 const axios = require('axios');
-const FormData = require('form-data');
 const chalk = require('chalk');
 const ora = require('ora');
 const clipboardy = require('clipboardy');
 const { Command } = require('commander');
 const readline = require('readline');
-const { google } = require('googleapis');
-const open = require('open');
 const qrcode = require('qrcode-terminal');
-
-const GOOGLE_DRIVE_SCOPES = ['https://www.googleapis.com/auth/drive.file'];
-const GOOGLE_DRIVE_TOKEN_PATH = 'google_drive_token.json'; // Will be stored in config dir
-
-
-// Constants
-const CONFIG_DIR = path.join(os.homedir(), '.pld');
-const CONFIG_FILE = path.join(CONFIG_DIR, 'config.json');
-const HISTORY_FILE = path.join(CONFIG_DIR, 'history.json');
-const PIXELDRAIN_UPLOAD_URL = 'https://pixeldrain.com/api/file';
-const GOFILE_UPLOAD_URL = 'https://store1.gofile.io/uploadFile';
-
-// ==================== UTILITY FUNCTIONS ====================
-
-// Format file size
-function formatFileSize(bytes) {
-  if (bytes === 0) return '0 Bytes';
-  const k = 1024;
-  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
-}
-
-// Format timestamp
-function formatTimestamp(isoString) {
-  const date = new Date(isoString);
-  return date.toLocaleString('vi-VN', {
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit'
-  });
-}
-
-// ==================== CONFIG MANAGEMENT ====================
-
-// Ensure config directory exists
-function ensureConfigDir() {
-  if (!fs.existsSync(CONFIG_DIR)) {
-    fs.mkdirSync(CONFIG_DIR, { recursive: true });
-  }
+const { formatFileSize, parseFileSize, formatTimestamp, runWithConcurrency } = require('./src/utils');
+const {
+  upload,
+  checkUploadOptions,
+  createRateLimit,
+  getHistory,
+  getSetting,
+  getSettings,
+  getSettingSources,
+  loadPlugins
+} = require('./src/api');
+const {
+  CONFIG_DIR,
+  removeServiceCredentials,
+  saveConfig,
+  setInteractive,
+  describeCredentialStore,
+  describeCredentialSources
+} = require('./src/config');
+const { updateHistoryEntry, deleteHistory, compactHistory, entrySize, exportHistory, HISTORY_SORT_FIELDS, HISTORY_EXPORT_FORMATS } = require('./src/history');
+const { expandFilePatterns } = require('./src/files');
+const { ENCRYPTED_EXTENSION, createDecryptStream, parseKeyFromLink } = require('./src/crypto');
+const { resolveLink, safeFileName, fileNameFromResponse, openDownloadStream } = require('./src/download');
+const { loadSessions, removeSession } = require('./src/sessions');
+const { watchFolder } = require('./src/watch');
+const { SERVE_TOKEN_FILE, HttpError, loadServeToken, receiveUpload, startApiServer } = require('./src/serve');
+const { withRetry } = require('./src/retry');
+const { hashFile, compareChecksums } = require('./src/hash');
+const { createProgress } = require('./src/progress');
+const { getProxyForUrl } = require('./src/network');
+const { ask, confirm } = require('./src/prompt');
+const {
+  EXIT_SUCCESS,
+  EXIT_FAILURE,
+  EXIT_PARTIAL_FAILURE,
+  EXIT_CONFIRMATION_REQUIRED,
+  EXIT_CANCELLED,
+  PldError,
+  UsageError,
+  NotConfiguredError,
+  SizeLimitError,
+  UploadError,
+  CancelledError
+} = require('./src/errors');
+const {
+  STDIN_PATH,
+  findUploadProvider,
+  loadProviderCredentials,
+  unlockStoredCredentials,
+  openUploadSource,
+  uploadSize,
+  checkSizeLimit,
+  summarizeUploadError,
+  isNotFoundError,
+  probeUpload
+} = require('./src/upload');
+const {
+  getProvider,
+  listProviders,
+  getProviderCredentials
+} = require('./src/providers');
+
+// The library is quiet, the command prints warnings and asks for the passphrase
+setInteractive(true);
+
+// ==================== PROVIDERS ====================
+
+// Chalk color function for a provider, plugins may name any chalk color
+function providerColor(provider) {
+  return typeof chalk[provider.color] === 'function' ? chalk[provider.color] : chalk.white;
 }
 
-// Load config
-function loadConfig() {
-  try {
-    if (fs.existsSync(CONFIG_FILE)) {
-      const data = fs.readFileSync(CONFIG_FILE, 'utf8');
-      return JSON.parse(data);
-    }
-  } catch (error) {
-    // Ignore errors, will return null
-  }
-  return null;
-}
-
-// Save config for a specific service or Google Drive
-function saveConfig(serviceType, credentials) {
-  ensureConfigDir();
-  let config = loadConfig() || {};
-
-  if (serviceType === 'googleDrive') {
-    config.googleDrive = {
-      ...credentials, // contains clientId, clientSecret, refreshToken
-      updatedAt: new Date().toISOString()
-    };
-  } else {
-    // For Pixeldrain/Gofile
-    if (!config.services) {
-      config.services = {};
-    }
-    config.services[serviceType] = {
-      apiKey: credentials.apiKey, // For backward compatibility, apiKey is used
-      updatedAt: new Date().toISOString()
-    };
-  }
-
-  fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
+// Colored [Label] tag for a provider
+function formatServiceLabel(provider) {
+  return providerColor(provider)(`[${provider.label}]`);
 }
 
-// Get API key or credentials for a specific service
-function getServiceCredentials(serviceType) {
-  const config = loadConfig();
-  if (!config) return null;
-
-  if (serviceType === 'googleDrive') {
-    return config.googleDrive || null;
-  } else if (config.services && config.services[serviceType]) {
-    // Handle old config format (backward compatibility)
-    if (config.apiKey && !config.services && serviceType === 'pixeldrain') {
-      // Migrate old format to new format
-      saveConfig('pixeldrain', { apiKey: config.apiKey });
-      return { apiKey: config.apiKey };
-    }
-    // Handle new format
-    return config.services[serviceType];
-  }
-
-  return null;
+// Tag for a history entry, entries without a service predate Gofile support
+function formatHistoryServiceLabel(serviceName) {
+  const provider = getProvider(serviceName || 'pixeldrain');
+  return provider ? formatServiceLabel(provider) : chalk.gray(`[${serviceName}]`);
 }
 
-
-// Create OAuth2 client
-function createOAuth2Client(clientId, clientSecret) {
-  return new google.auth.OAuth2(
-    clientId,
-    clientSecret,
-    'http://localhost:3000/callback'
-  );
+// Link status found by `pld check`
+const ENTRY_STATUS_TAGS = {
+  alive: chalk.green('[alive]'),
+  expired: chalk.red('[expired]'),
+  removed: chalk.red('[removed]'),
+  'auth-required': chalk.yellow('[auth required]')
+};
+
+// Status tag shown after a history entry's file name
+function formatEntryStatus(entry) {
+  if (entry.deletedAt) return ' ' + chalk.red('[deleted]');
+  return ENTRY_STATUS_TAGS[entry.status] ? ' ' + ENTRY_STATUS_TAGS[entry.status] : '';
 }
 
-// Get Google Drive OAuth2 client with valid credentials
-async function getGoogleDriveClient() {
-  const credentials = getServiceCredentials('googleDrive');
-
-  if (!credentials || !credentials.clientId || !credentials.clientSecret) {
-    return null;
-  }
-
-  const oauth2Client = createOAuth2Client(credentials.clientId, credentials.clientSecret);
-
-  if (credentials.refreshToken) {
-    oauth2Client.setCredentials({
-      refresh_token: credentials.refreshToken
-    });
-    return oauth2Client;
+// One history entry in the `pld -ls` and `pld history` listings
+function printHistoryEntry(item, number) {
+  console.log(chalk.cyan(`${number}. `) + formatHistoryServiceLabel(item.service) + ' ' + chalk.white.bold(item.filename) + formatEntryStatus(item));
+  console.log(chalk.gray(`   Time: ${formatTimestamp(item.timestamp)}`));
+  console.log(chalk.gray(`   Size: ${item.fileSize}`));
+  console.log(chalk.blue(`   Link: ${item.downloadLink}`));
+  if (item.contentSha256 || item.sha256) {
+    console.log(chalk.gray(`   SHA-256: ${item.contentSha256 || item.sha256}`));
   }
-
-  return null;
-}
-
-// Start local server to receive OAuth callback
-function startCallbackServer() {
-  return new Promise((resolve, reject) => {
-    const http = require('http');
-    const url = require('url');
-
-    const server = http.createServer((req, res) => {
-      const parsedUrl = url.parse(req.url, true);
-
-      if (parsedUrl.pathname === '/callback') {
-        const code = parsedUrl.query.code;
-        const error = parsedUrl.query.error;
-
-        if (error) {
-          res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
-          res.end('<html><body><h1>Authorization Failed</h1><p>You can close this window.</p></body></html>');
-          server.close();
-          reject(new Error(error));
-        } else if (code) {
-          res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
-          res.end('<html><body><h1>Authorization Successful!</h1><p>You can close this window and return to the terminal.</p></body></html>');
-          server.close();
-          resolve(code);
-        }
-      }
-    });
-
-    server.listen(3000, () => {
-      // Server started
-    });
-
-    server.on('error', (err) => {
-      reject(err);
-    });
-
-    // Timeout after 2 minutes
-    setTimeout(() => {
-      server.close();
-      reject(new Error('Authorization timeout'));
-    }, 120000);
-  });
-}
-
-// Authenticate with Google Drive (full OAuth flow)
-async function authenticateGoogleDrive(clientId, clientSecret) {
-  const oauth2Client = createOAuth2Client(clientId, clientSecret);
-
-  // Generate auth URL
-  const authUrl = oauth2Client.generateAuthUrl({
-    access_type: 'offline',
-    scope: GOOGLE_DRIVE_SCOPES,
-    prompt: 'consent' // Force to get refresh token
-  });
-
-  console.log(chalk.white('\n🔗 Opening browser for Google authorization...'));
-  console.log(chalk.gray('If browser does not open, visit this URL:\n'));
-  console.log(chalk.cyan.underline(authUrl) + '\n');
-
-  // Open browser
-  try {
-    await open(authUrl);
-  } catch (err) {
-    console.log(chalk.yellow('Could not open browser automatically.'));
-  }
-
-  // Start callback server and wait for authorization code
-  const spinner = ora(chalk.yellow('Waiting for authorization...')).start();
-
-  try {
-    const code = await startCallbackServer();
-    spinner.succeed(chalk.green('Authorization received!'));
-
-    // Exchange code for tokens
-    const { tokens } = await oauth2Client.getToken(code);
-
-    if (!tokens.refresh_token) {
-      throw new Error('No refresh token received. Please try again.');
-    }
-
-    return {
-      refreshToken: tokens.refresh_token,
-      accessToken: tokens.access_token
-    };
-  } catch (error) {
-    spinner.fail(chalk.red('Authorization failed!'));
-    throw error;
-  }
-}
-
-// Prompt for Google Drive Client ID
-function promptGoogleDriveClientId() {
-  return new Promise((resolve) => {
-    const rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout
-    });
-
-    console.log(chalk.white('\n🔑 Please enter your Google OAuth Client ID:'));
-    console.log(chalk.gray('Get it from: ') + chalk.cyan.underline('https://console.cloud.google.com/apis/credentials\n'));
-
-    rl.question(chalk.yellow('Client ID: '), (answer) => {
-      rl.close();
-      resolve(answer.trim());
-    });
-  });
-}
-
-// Prompt for Google Drive Client Secret
-function promptGoogleDriveClientSecret() {
-  return new Promise((resolve) => {
-    const rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout
-    });
-
-    rl.question(chalk.yellow('Client Secret: '), (answer) => {
-      rl.close();
-      resolve(answer.trim());
-    });
-  });
-}
-
-// Configure Google Drive
-async function configureGoogleDrive() {
-  const existingCredentials = getServiceCredentials('googleDrive');
-
-  if (existingCredentials && existingCredentials.refreshToken) {
-    // Already configured, show menu
-    while (true) {
-      console.log(chalk.white.bold('\n⚙️  Google Drive Configuration\n'));
-      console.log(chalk.cyan('1. ') + chalk.white('View current configuration'));
-      console.log(chalk.cyan('2. ') + chalk.white('Re-authorize (get new token)'));
-      console.log(chalk.cyan('3. ') + chalk.white('Delete configuration'));
-      console.log(chalk.cyan('4. ') + chalk.white('Exit\n'));
-
-      const choice = await new Promise((resolve) => {
-        const rl = readline.createInterface({
-          input: process.stdin,
-          output: process.stdout
-        });
-        rl.question(chalk.yellow('Select an option (1-4): '), (answer) => {
-          rl.close();
-          resolve(answer.trim());
-        });
-      });
-
-      switch (choice) {
-        case '1':
-          // View current config (masked)
-          const maskedClientId = existingCredentials.clientId.substring(0, 10) + '...';
-          const maskedSecret = existingCredentials.clientSecret.substring(0, 4) + '...';
-          console.log(chalk.white('\n📋 Current Configuration:'));
-          console.log(chalk.gray('  Client ID: ') + chalk.cyan(maskedClientId));
-          console.log(chalk.gray('  Client Secret: ') + chalk.cyan(maskedSecret));
-          console.log(chalk.gray('  Status: ') + chalk.green('Authorized'));
-          if (existingCredentials.updatedAt) {
-            console.log(chalk.gray('  Updated: ') + chalk.white(formatTimestamp(existingCredentials.updatedAt)));
-          }
-          console.log('');
-          break;
-
-        case '2':
-          // Re-authorize
-          try {
-            const tokens = await authenticateGoogleDrive(
-              existingCredentials.clientId,
-              existingCredentials.clientSecret
-            );
-            saveConfig('googleDrive', {
-              clientId: existingCredentials.clientId,
-              clientSecret: existingCredentials.clientSecret,
-              refreshToken: tokens.refreshToken
-            });
-            console.log(chalk.green('\n✓ Google Drive re-authorized successfully!\n'));
-            return;
-          } catch (error) {
-            console.log(chalk.red('\n❌ Re-authorization failed: ' + error.message + '\n'));
-          }
-          break;
-
-        case '3':
-          // Delete config
-          const confirmed = await promptConfirmDelete();
-          if (confirmed) {
-            const config = loadConfig();
-            if (config && config.googleDrive) {
-              delete config.googleDrive;
-              fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
-              console.log(chalk.green('\n✓ Google Drive configuration deleted!\n'));
-              return;
-            }
-          } else {
-            console.log(chalk.gray('\n→ Deletion cancelled.\n'));
-          }
-          break;
-
-        case '4':
-          console.log(chalk.gray('\n→ Exiting configuration.\n'));
-          return;
-
-        default:
-          console.log(chalk.red('\n❌ Invalid option. Please select 1-4.\n'));
-      }
-    }
-  } else {
-    // New configuration
-    console.log(chalk.white.bold('\n🔧 Google Drive Setup\n'));
-    console.log(chalk.gray('You need to create OAuth 2.0 credentials in Google Cloud Console.'));
-    console.log(chalk.gray('Make sure to add ') + chalk.cyan('http://localhost:3000/callback') + chalk.gray(' as a redirect URI.\n'));
-
-    const clientId = await promptGoogleDriveClientId();
-    if (!clientId) {
-      console.log(chalk.red('\n❌ Client ID cannot be empty\n'));
-      return;
-    }
-
-    const clientSecret = await promptGoogleDriveClientSecret();
-    if (!clientSecret) {
-      console.log(chalk.red('\n❌ Client Secret cannot be empty\n'));
-      return;
-    }
-
-    try {
-      const tokens = await authenticateGoogleDrive(clientId, clientSecret);
-
-      saveConfig('googleDrive', {
-        clientId: clientId,
-        clientSecret: clientSecret,
-        refreshToken: tokens.refreshToken
-      });
-
-      console.log(chalk.green('\n✓ Google Drive configured successfully!\n'));
-      console.log(chalk.white('You can now upload files: ') + chalk.cyan('pld -s <file> gd\n'));
-    } catch (error) {
-      console.log(chalk.red('\n❌ Setup failed: ' + error.message + '\n'));
-    }
+  if (item.checkedAt) {
+    console.log(chalk.gray(`   Checked: ${formatTimestamp(item.checkedAt)}`));
   }
-}
-
-// ==================== HISTORY MANAGEMENT ====================
-
-// Load history
-function loadHistory() {
-  try {
-    if (fs.existsSync(HISTORY_FILE)) {
-      const data = fs.readFileSync(HISTORY_FILE, 'utf8');
-      return JSON.parse(data);
-    }
-  } catch (error) {
-    console.log(chalk.yellow('⚠ Warning: Could not load history file'));
+  if (item.expiresAt && !item.deletedAt) {
+    const expired = new Date(item.expiresAt) <= Date.now();
+    console.log((expired ? chalk.yellow : chalk.gray)(`   Expires: ${formatTimestamp(item.expiresAt)}${expired ? ' (run pld prune to delete it)' : ''}`));
   }
-  return [];
+  console.log('');
 }
 
-// Save history entry
-function saveHistory(entry) {
-  ensureConfigDir();
-  const history = loadHistory();
-  history.unshift(entry); // Add to beginning
-
-  // Keep only last 50 entries
-  if (history.length > 50) {
-    history.splice(50);
-  }
-
-  fs.writeFileSync(HISTORY_FILE, JSON.stringify(history, null, 2));
+// Short flag shown in usage hints, e.g. "pd"
+function formatServiceFlag(provider) {
+  return provider.aliases[0] || provider.name;
 }
 
-// Delete history
-function deleteHistory() {
-  try {
-    if (fs.existsSync(HISTORY_FILE)) {
-      fs.unlinkSync(HISTORY_FILE);
-      console.log(chalk.green('\n✓ Upload history cleared successfully!\n'));
-    } else {
-      console.log(chalk.yellow('\n⚠️  No history found to delete.\n'));
-    }
-  } catch (error) {
-    console.log(chalk.red('\n❌ Error deleting history: ' + error.message + '\n'));
-  }
-}
+// ==================== HISTORY MENU ====================
 
 function promptHistoryMenu() {
   return new Promise((resolve) => {
@@ -435,10 +143,11 @@ function promptHistoryMenu() {
     });
 
     console.log(chalk.cyan('\n1. ') + chalk.white('Copy a link to clipboard'));
-    console.log(chalk.cyan('2. ') + chalk.white('Clear all history'));
-    console.log(chalk.cyan('3. ') + chalk.white('Exit\n'));
+    console.log(chalk.cyan('2. ') + chalk.white('Delete an upload from its service'));
+    console.log(chalk.cyan('3. ') + chalk.white('Clear all history'));
+    console.log(chalk.cyan('4. ') + chalk.white('Exit\n'));
 
-    rl.question(chalk.yellow('Select an option (1-3): '), (answer) => {
+    rl.question(chalk.yellow('Select an option (1-4): '), (answer) => {
       rl.close();
       resolve(answer.trim());
     });
@@ -475,7 +184,7 @@ function promptConfirmClear() {
 
 // Display history
 async function displayHistory() {
-  let history = loadHistory();
+  let history = getHistory();
 
   if (history.length === 0) {
     console.log(chalk.yellow('📭 No upload history yet.\n'));
@@ -489,23 +198,11 @@ async function displayHistory() {
     const displayLimit = Math.min(10, history.length);
 
     for (let i = 0; i < displayLimit; i++) {
-      const item = history[i];
-      let serviceLabel;
-      if (item.service === 'gofile') {
-        serviceLabel = chalk.magenta('[Gofile]');
-      } else if (item.service === 'googledrive') {
-        serviceLabel = chalk.blue('[Google Drive]');
-      } else {
-        serviceLabel = chalk.green('[Pixeldrain]');
-      }
-      console.log(chalk.cyan(`${i + 1}. `) + serviceLabel + ' ' + chalk.white.bold(item.filename));
-      console.log(chalk.gray(`   Time: ${formatTimestamp(item.timestamp)}`));
-      console.log(chalk.gray(`   Size: ${item.fileSize}`));
-      console.log(chalk.blue(`   Link: ${item.downloadLink}`));
-      console.log('');
+      printHistoryEntry(history[i], i + 1);
     }
 
     console.log(chalk.gray(`Total uploads: ${history.length}`));
+    console.log(chalk.gray('Search and export with ') + chalk.cyan('pld history --help'));
 
     const choice = await promptHistoryMenu();
 
@@ -526,6 +223,29 @@ async function displayHistory() {
         break;
 
       case '2':
+        // Take an upload down
+        const deleteIndex = await promptSelectLink(displayLimit);
+        if (deleteIndex >= 1 && deleteIndex <= displayLimit) {
+          const entry = history[deleteIndex - 1];
+          if (entry.deletedAt) {
+            console.log(chalk.yellow('\n⚠️  This upload was already deleted.\n'));
+          } else if (await confirm(chalk.red(`\n⚠️  Delete ${entry.filename} from ${formatHistoryServiceLabel(entry.service)}${chalk.red('? Anyone with the link loses access. (y/n): ')}`))) {
+            try {
+              await unlockStoredCredentials();
+              await deleteUploads([entry]);
+            } catch (error) {
+              console.log(chalk.red(`\n❌ Error: ${error.message}\n`));
+            }
+            history = getHistory();
+          } else {
+            console.log(chalk.gray('\n→ Deletion cancelled.\n'));
+          }
+        } else {
+          console.log(chalk.red('\n❌ Invalid selection.\n'));
+        }
+        break;
+
+      case '3':
         // Clear all history
         const confirmed = await promptConfirmClear();
         if (confirmed) {
@@ -536,17 +256,486 @@ async function displayHistory() {
         }
         break;
 
-      case '3':
+      case '4':
         // Exit
         console.log(chalk.gray('\n→ Exiting history.\n'));
         return;
 
       default:
-        console.log(chalk.red('\n❌ Invalid option. Please select 1-3.\n'));
+        console.log(chalk.red('\n❌ Invalid option. Please select 1-4.\n'));
+    }
+  }
+}
+
+// History for scripts: the whole list as JSON, or one link per line
+function printHistory(options) {
+  const history = getHistory();
+  if (options.json) {
+    process.stdout.write(JSON.stringify(history, null, 2) + '\n');
+  } else {
+    history.forEach(entry => process.stdout.write(entry.downloadLink + '\n'));
+  }
+}
+
+// ==================== HISTORY COMMAND ====================
+
+const HISTORY_PAGE_SIZE = 20;
+
+function parsePositiveInteger(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new UsageError(`${name} must be a positive whole number`);
+  }
+  return number;
+}
+
+// Entries keep their number from the full history, so `pld rm <n>` and `pld get <n>` find them
+function printHistoryPage(entries, history) {
+  const numbers = new Map(history.map((entry, index) => [entry.id, index + 1]));
+  entries.forEach(item => printHistoryEntry(item, numbers.get(item.id)));
+}
+
+// Entry point for `pld history`: filter, sort and page through uploads, or export them
+async function historyCommand(options) {
+  if (options.compact) {
+    const { entries, removed } = await compactHistory();
+    console.log(chalk.green(`✓ History compacted: ${entries} upload${entries === 1 ? '' : 's'} kept, ${removed} line${removed === 1 ? '' : 's'} removed`));
+    return;
+  }
+
+  const format = options.export || (options.json || program.opts().json ? 'json' : null);
+  if (format && !HISTORY_EXPORT_FORMATS.includes(format)) {
+    throw new UsageError(`Unknown export format: ${format}`, { hint: `Available formats: ${HISTORY_EXPORT_FORMATS.join(', ')}` });
+  }
+
+  const history = getHistory();
+  let entries = getHistory(options);
+  const total = entries.length;
+  const totalSize = entries.reduce((sum, entry) => sum + (entrySize(entry) || 0), 0);
+
+  // Exports hold every match unless a page is asked for
+  const paged = !format || options.limit || options.page;
+  const limit = options.limit ? parsePositiveInteger(options.limit, '--limit') : HISTORY_PAGE_SIZE;
+  const page = options.page ? parsePositiveInteger(options.page, '--page') : 1;
+  const offset = paged ? (page - 1) * limit : 0;
+  if (paged) {
+    entries = entries.slice(offset, offset + limit);
+  }
+
+  if (format) {
+    const output = exportHistory(entries, format);
+    if (options.output) {
+      fs.writeFileSync(options.output, output);
+      console.log(chalk.green(`✓ Exported ${entries.length} upload${entries.length === 1 ? '' : 's'} to ${options.output}`));
+    } else {
+      process.stdout.write(output);
+    }
+    return;
+  }
+
+  if (program.opts().quiet) {
+    entries.forEach(entry => process.stdout.write(entry.downloadLink + '\n'));
+    return;
+  }
+
+  if (total === 0) {
+    console.log(chalk.yellow('\n📭 No uploads match.\n'));
+    return;
+  }
+
+  const pages = Math.ceil(total / limit);
+  console.log(chalk.white.bold(`\n📜 Upload History (${total} upload${total === 1 ? '' : 's'}, ${formatFileSize(totalSize)}):\n`));
+
+  if (entries.length === 0) {
+    console.log(chalk.yellow(`No page ${page}, there ${pages === 1 ? 'is 1 page' : `are ${pages} pages`}.\n`));
+    return;
+  }
+
+  printHistoryPage(entries, history);
+  console.log(chalk.gray(`Showing ${offset + 1}-${offset + entries.length} of ${total} (page ${page}/${pages})`));
+  if (page < pages) {
+    console.log(chalk.gray('Next page: ') + chalk.cyan(`--page ${page + 1}`));
+  }
+  console.log('');
+}
+
+// ==================== REMOVE COMMAND ====================
+
+// Delete one upload from its service and mark its history entry as deleted
+async function removeUpload(entry) {
+  const provider = getProvider(entry.service || 'pixeldrain');
+  if (!provider) {
+    throw new Error(`Unknown service: ${entry.service}`);
+  }
+  if (!provider.delete) {
+    throw new Error(`${provider.label} does not support deleting files`);
+  }
+
+  const credentials = getProviderCredentials(provider);
+  if (provider.validateCredentials) {
+    provider.validateCredentials(credentials);
+  }
+
+  try {
+    await withRetry(() => provider.delete(entry, { credentials }));
+  } catch (error) {
+    if (!isNotFoundError(error)) throw error;
+  }
+
+  if (entry.id) {
+    await updateHistoryEntry(entry.id, { deletedAt: new Date().toISOString() });
+  }
+}
+
+// Delete uploads one after the other, resolves with one { entry, error } per upload
+async function deleteUploads(entries, { silent = false } = {}) {
+  const spinner = ora({ isSilent: silent });
+  const results = [];
+
+  for (const entry of entries) {
+    const label = formatHistoryServiceLabel(entry.service) + ' ' + chalk.white(entry.filename);
+    spinner.start(chalk.yellow('Deleting ') + label);
+    try {
+      await removeUpload(entry);
+      spinner.succeed(chalk.green('Deleted ') + label);
+      results.push({ entry, error: null });
+    } catch (error) {
+      spinner.fail(chalk.red('Could not delete ') + label + chalk.red(`: ${summarizeUploadError(error)}`));
+      results.push({ entry, error });
+    }
+  }
+  return results;
+}
+
+// A history number, a share link or a file id, as a history entry
+function resolveHistoryTarget(target, history) {
+  if (/^\d+$/.test(target)) {
+    const index = parseInt(target, 10);
+    if (index < 1 || index > history.length) {
+      throw new UsageError(`No upload #${target} in history (1-${history.length})`);
+    }
+    return history[index - 1];
+  }
+
+  if (/^https?:\/\//i.test(target)) {
+    // Encrypted uploads keep their key in the link fragment
+    const link = target.split('#')[0];
+    const entry = history.find(item => item.downloadLink.split('#')[0] === link);
+    if (entry) return entry;
+
+    // Not uploaded from here, the service may still accept the delete
+    const provider = listProviders().find(item => item.parseLink && item.parseLink(link));
+    if (!provider) {
+      throw new UsageError(`Not a link of a supported service: ${target}`);
+    }
+    return { service: provider.name, filename: link, fileId: provider.parseLink(link), downloadLink: link };
+  }
+
+  const entry = history.find(item => item.fileId === target);
+  if (!entry) {
+    throw new UsageError(`No upload with file id ${target} in history`, { hint: 'Use a history number (pld history) or the share link' });
+  }
+  return entry;
+}
+
+// Entry point for `pld rm`: delete uploads by number, link, file id or history filters
+async function removeCommand(targets, options) {
+  const hasFilters = ['service', 'since', 'until', 'name', 'minSize'].some(name => options[name]);
+  if (targets.length === 0 && !hasFilters) {
+    throw new UsageError('Nothing to delete', { hint: 'Usage: pld rm <number|link|file-id...> or pld rm --service <name> --until <date> ...' });
+  }
+
+  // Entries are told apart by id, a link from elsewhere has none
+  const history = getHistory();
+  const selected = new Map();
+  for (const entry of targets.map(target => resolveHistoryTarget(target, history))) {
+    selected.set(entry.id || entry, entry);
+  }
+  if (hasFilters) {
+    getHistory(options)
+      .filter(entry => !entry.deletedAt)
+      .forEach(entry => selected.set(entry.id, entry));
+  }
+
+  const entries = Array.from(selected.values()).filter((entry) => {
+    if (entry.deletedAt) {
+      console.log(chalk.gray(`→ ${entry.filename} was already deleted`));
+    }
+    return !entry.deletedAt;
+  });
+  if (entries.length === 0) {
+    console.log(chalk.yellow('\n📭 No uploads to delete.\n'));
+    return;
+  }
+
+  console.log(chalk.white.bold(`\n🗑  ${entries.length} upload${entries.length === 1 ? '' : 's'} to delete:\n`));
+  for (const entry of entries) {
+    console.log('  ' + formatHistoryServiceLabel(entry.service) + ' ' + chalk.white(entry.filename) + chalk.gray(` ${entry.downloadLink}`));
+  }
+  console.log('');
+
+  if (!options.yes) {
+    if (!isInteractive(program.opts()) || !process.stdin.isTTY) {
+      throw new PldError('Confirmation required, pass --yes to delete', { exitCode: EXIT_CONFIRMATION_REQUIRED });
+    }
+    if (!await confirm(chalk.red('⚠️  Delete from the service? Anyone with the links loses access. (y/n): '))) {
+      console.log(chalk.gray('\n→ Deletion cancelled.\n'));
+      return;
+    }
+    console.log('');
+  }
+
+  await unlockStoredCredentials();
+
+  const results = await deleteUploads(entries);
+  const deleted = results.filter(result => !result.error).length;
+  const summary = `${deleted} of ${entries.length} deleted`;
+  if (deleted < entries.length) {
+    throw new PldError(summary, { exitCode: deleted === 0 ? EXIT_FAILURE : EXIT_PARTIAL_FAILURE });
+  }
+  console.log(chalk.white(`\n${summary}\n`));
+}
+
+// ==================== CHECK COMMAND ====================
+
+const CHECK_CONCURRENCY = 4;
+
+// Upload files again whose links died, the old entry points to its replacement.
+// They go through the same pre-checks as pld -s and keep what is left of their expiry.
+async function reuploadEntries(entries) {
+  const spinner = ora();
+  const limit = createRateLimit();
+
+  for (const entry of entries) {
+    const label = formatHistoryServiceLabel(entry.service) + ' ' + chalk.white(entry.filename);
+    spinner.start(chalk.yellow('Uploading again ') + label);
+
+    try {
+      let progress = null;
+      const result = await upload(entry.path, {
+        service: entry.service || 'pixeldrain',
+        dedupe: true,
+        expire: entry.expiresAt ? new Date(entry.expiresAt) - Date.now() : undefined,
+        limitRate: limit,
+        onStart: ({ size }) => {
+          progress = createProgress(spinner, {
+            label: `Uploading again ${entry.filename}`,
+            total: size,
+            details: () => formatRateLimit(limit)
+          });
+        },
+        onProgress: ({ loaded }) => progress.update(loaded)
+      });
+      await updateHistoryEntry(entry.id, { replacedBy: result.id });
+      spinner.succeed(chalk.green(result.reused ? 'Already uploaded ' : 'Uploaded again ') + label + ' ' + chalk.cyan(result.link));
+    } catch (error) {
+      spinner.fail(chalk.red('Could not upload again ') + label + chalk.red(`: ${summarizeUploadError(error)}`));
     }
   }
 }
 
+function countUploads(count) {
+  return `${count} dead upload${count === 1 ? '' : 's'}`;
+}
+
+// Entry point for `pld check`: probe every (or every matching) upload and record its status
+async function checkCommand(options) {
+  const json = options.json || program.opts().json;
+  const interactive = !json && isInteractive(program.opts());
+
+  // Uploads deleted with pld rm or already replaced are known to be gone
+  const entries = getHistory(options)
+    .filter(entry => !entry.deletedAt && !entry.replacedBy);
+  if (entries.length === 0) {
+    console.log(chalk.yellow('\n📭 No uploads to check.\n'));
+    return;
+  }
+
+  await unlockStoredCredentials();
+
+  const spinner = ora({ isSilent: !interactive });
+  let done = 0;
+  spinner.start(chalk.yellow(`Checking ${entries.length} upload${entries.length === 1 ? '' : 's'}...`));
+
+  const results = await runWithConcurrency(entries, CHECK_CONCURRENCY, async (entry) => {
+    const result = await probeUpload(entry);
+    const checkedAt = new Date().toISOString();
+    // An unknown result says nothing about the link, keep what the last check found
+    if (result.status !== 'unknown') {
+      await updateHistoryEntry(entry.id, { status: result.status, checkedAt: checkedAt });
+    }
+    done++;
+    spinner.text = chalk.yellow(`Checking uploads... ${done}/${entries.length}`);
+    return { entry, checkedAt, ...result };
+  });
+  spinner.stop();
+
+  const checks = results.map(result => result.value);
+  const counts = {};
+  for (const check of checks) {
+    counts[check.status] = (counts[check.status] || 0) + 1;
+
+    if (json) {
+      process.stdout.write(JSON.stringify({
+        id: check.entry.id,
+        service: check.entry.service || 'pixeldrain',
+        file: check.entry.filename,
+        downloadLink: check.entry.downloadLink,
+        status: check.status,
+        reason: check.reason,
+        checkedAt: check.checkedAt
+      }) + '\n');
+      continue;
+    }
+
+    const tag = ENTRY_STATUS_TAGS[check.status] || chalk.gray('[unknown]');
+    const reason = check.reason ? chalk.gray(` (${check.reason})`) : '';
+    console.log(`${tag} ${formatHistoryServiceLabel(check.entry.service)} ${chalk.white(check.entry.filename)} ${chalk.blue(check.entry.downloadLink)}${reason}`);
+  }
+
+  const summary = Object.entries(counts).map(([status, count]) => `${count} ${status.replace('-', ' ')}`).join(', ');
+  console.log(chalk.white(`\n${checks.length} checked: ${summary}\n`));
+
+  // Dead links whose file is still on this machine can be uploaded again
+  const dead = checks.filter(check => ['expired', 'removed'].includes(check.status));
+  const reuploadable = dead.map(check => check.entry)
+    .filter(entry => entry.path && !entry.encrypted && fs.existsSync(entry.path))
+    // An upload past its expiry is gone on purpose, sending it again would undo that
+    .filter(entry => !entry.expiresAt || new Date(entry.expiresAt) > Date.now());
+  if (reuploadable.length === 0) {
+    if (dead.length > 0 && options.reupload) {
+      console.log(chalk.gray('None of the dead links has its file on this machine anymore.\n'));
+    }
+    return;
+  }
+
+  let reupload = Boolean(options.reupload);
+  if (!reupload && interactive && process.stdin.isTTY) {
+    reupload = await confirm(chalk.cyan(`${countUploads(reuploadable.length)} can be sent again from local files. Upload again? (y/n): `));
+    console.log('');
+  } else if (!reupload) {
+    console.log(chalk.gray(`${countUploads(reuploadable.length)} can be sent again from local files: `) + chalk.cyan('pld check --reupload') + '\n');
+  }
+
+  if (reupload) {
+    await reuploadEntries(reuploadable);
+    console.log('');
+  }
+}
+
+// ==================== PRUNE COMMAND ====================
+
+// Entry point for `pld prune`: delete every upload whose --expire time has passed
+async function pruneCommand(options) {
+  const json = options.json || program.opts().json;
+  const now = Date.now();
+  const expired = getHistory().filter(entry => entry.expiresAt && !entry.deletedAt && new Date(entry.expiresAt) <= now);
+
+  if (expired.length === 0) {
+    console.log(chalk.gray('Nothing to prune, no upload has expired.'));
+    return;
+  }
+
+  if (options.dryRun) {
+    console.log(chalk.white.bold(`\n⏳ ${expired.length} expired upload${expired.length === 1 ? '' : 's'} would be deleted:\n`));
+    for (const entry of expired) {
+      console.log('  ' + formatHistoryServiceLabel(entry.service) + ' ' + chalk.white(entry.filename) +
+        chalk.gray(` expired ${formatTimestamp(entry.expiresAt)}`));
+    }
+    console.log('');
+    return;
+  }
+
+  await unlockStoredCredentials();
+
+  const results = await deleteUploads(expired, { silent: Boolean(json) });
+  const deleted = results.filter(result => !result.error).length;
+
+  if (json) {
+    for (const { entry, error } of results) {
+      const record = {
+        id: entry.id,
+        service: entry.service || 'pixeldrain',
+        file: entry.filename,
+        downloadLink: entry.downloadLink,
+        expiresAt: entry.expiresAt,
+        deleted: !error
+      };
+      if (error) record.error = summarizeUploadError(error);
+      process.stdout.write(JSON.stringify(record) + '\n');
+    }
+  }
+  const summary = `Pruned ${deleted} of ${expired.length} expired upload${expired.length === 1 ? '' : 's'}`;
+  if (deleted < expired.length) {
+    throw new PldError(summary, { exitCode: deleted === 0 ? EXIT_FAILURE : EXIT_PARTIAL_FAILURE });
+  }
+  console.log(chalk.white(`\n${summary}\n`));
+}
+
+// ==================== VERIFY COMMAND ====================
+
+// Checksums a local file must match to be the content of an upload: { checksums, source }, or null.
+// Services only know the hash of what they store, which for encrypted uploads is not the original file.
+async function expectedChecksums(entry) {
+  if (entry.encrypted) {
+    return entry.contentSha256 ? { checksums: { sha256: entry.contentSha256 }, source: 'recorded at upload' } : null;
+  }
+  if (entry.sha256 || entry.md5) {
+    const checksums = {};
+    if (entry.sha256) checksums.sha256 = entry.sha256;
+    if (entry.md5) checksums.md5 = entry.md5;
+    return { checksums, source: 'recorded at upload' };
+  }
+
+  // Uploads made before pld recorded hashes, or not made from here
+  const provider = getProvider(entry.service || 'pixeldrain');
+  if (!provider || !provider.info) return null;
+
+  await unlockStoredCredentials();
+  const credentials = getProviderCredentials(provider);
+  const info = await withRetry(() => provider.info(entry, { credentials }));
+  return info.checksums ? { checksums: info.checksums, source: `reported by ${provider.label}` } : null;
+}
+
+// Entry point for `pld verify`: check that a local file is the content of a past upload
+async function verifyCommand(file, target) {
+  const absolutePath = path.resolve(file);
+  if (!fs.existsSync(absolutePath) || !fs.statSync(absolutePath).isFile()) {
+    throw new UsageError(`File not found: ${file}`);
+  }
+  const entry = resolveHistoryTarget(target, getHistory());
+
+  const spinner = ora(chalk.yellow(`Hashing ${path.basename(absolutePath)}...`)).start();
+  let local;
+  let expected;
+  try {
+    local = await hashFile(absolutePath);
+    spinner.text = chalk.yellow(`Looking up ${entry.filename}...`);
+    expected = await expectedChecksums(entry);
+    spinner.stop();
+  } catch (error) {
+    spinner.fail(chalk.red('Could not verify'));
+    throw error instanceof PldError ? error : new PldError(summarizeUploadError(error), { cause: error });
+  }
+
+  const matches = expected ? compareChecksums(local, expected.checksums) : null;
+  if (matches === null) {
+    throw new PldError(`No checksum is known for ${entry.filename}, it was uploaded before pld recorded them`);
+  }
+
+  console.log(chalk.white(`\n📄 ${path.basename(absolutePath)}`));
+  console.log(chalk.gray(`   SHA-256: ${local.sha256}`));
+  console.log(formatHistoryServiceLabel(entry.service) + ' ' + chalk.white(entry.filename));
+  for (const [algorithm, value] of Object.entries(expected.checksums)) {
+    console.log(chalk.gray(`   ${algorithm === 'sha256' ? 'SHA-256' : algorithm.toUpperCase()}: ${value} (${expected.source})`));
+  }
+
+  if (!matches) {
+    throw new PldError('The file does not match the upload');
+  }
+  console.log(chalk.green('\n✓ The file matches the upload.\n'));
+}
+
 // ==================== CONFIG COMMAND ====================
 
 function promptServiceSelection() {
@@ -556,37 +745,34 @@ function promptServiceSelection() {
       output: process.stdout
     });
 
+    const providers = listProviders();
+    const exitOption = providers.length + 1;
+
     console.log(chalk.white.bold('\n⚙️  Select Service to Configure\n'));
-    console.log(chalk.cyan('1. ') + chalk.green('Pixeldrain'));
-    console.log(chalk.cyan('2. ') + chalk.magenta('Gofile'));
-    console.log(chalk.cyan('3. ') + chalk.blue('Google Drive'));
-    console.log(chalk.cyan('4. ') + chalk.white('Exit\n'));
+    providers.forEach((provider, index) => {
+      console.log(chalk.cyan(`${index + 1}. `) + providerColor(provider)(provider.label));
+    });
+    console.log(chalk.cyan(`${exitOption}. `) + chalk.white('Exit\n'));
 
-    rl.question(chalk.yellow('Select service (1-4): '), (answer) => {
+    rl.question(chalk.yellow(`Select service (1-${exitOption}): `), (answer) => {
       rl.close();
-      const choice = answer.trim();
-      if (choice === '1') resolve('pixeldrain');
-      else if (choice === '2') resolve('gofile');
-      else if (choice === '3') resolve('googledrive');
-      else resolve(null);
+      const choice = parseInt(answer.trim());
+      resolve(providers[choice - 1] || null);
     });
   });
 }
 
-function promptApiKey(service) {
+function promptApiKey(provider) {
   return new Promise((resolve) => {
     const rl = readline.createInterface({
       input: process.stdin,
       output: process.stdout
     });
 
-    const serviceName = service === 'pixeldrain' ? 'Pixeldrain' : 'Gofile';
-    const apiUrl = service === 'pixeldrain'
-      ? 'https://pixeldrain.com/user/api_keys'
-      : 'https://gofile.io/myProfile';
-
-    console.log(chalk.white(`\n🔑 Please enter your ${serviceName} API key:`));
-    console.log(chalk.gray('Get your API key from: ') + chalk.cyan.underline(apiUrl + '\n'));
+    console.log(chalk.white(`\n🔑 Please enter your ${provider.label} API key:`));
+    if (provider.apiKeyUrl) {
+      console.log(chalk.gray('Get your API key from: ') + chalk.cyan.underline(provider.apiKeyUrl + '\n'));
+    }
 
     rl.question(chalk.yellow('API Key: '), (answer) => {
       rl.close();
@@ -595,15 +781,14 @@ function promptApiKey(service) {
   });
 }
 
-function promptConfigMenu(service) {
+function promptConfigMenu(provider) {
   return new Promise((resolve) => {
     const rl = readline.createInterface({
       input: process.stdin,
       output: process.stdout
     });
 
-    const serviceName = service === 'pixeldrain' ? 'Pixeldrain' : 'Gofile';
-    console.log(chalk.white.bold(`\n⚙️  ${serviceName} API Key Configuration\n`));
+    console.log(chalk.white.bold(`\n⚙️  ${provider.label} API Key Configuration\n`));
     console.log(chalk.cyan('1. ') + chalk.white('View current API key'));
     console.log(chalk.cyan('2. ') + chalk.white('Change API key'));
     console.log(chalk.cyan('3. ') + chalk.white('Delete API key'));
@@ -630,12 +815,9 @@ function promptConfirmDelete() {
   });
 }
 
-function deleteServiceConfig(service) {
+function deleteServiceConfig(provider) {
   try {
-    const config = loadConfig();
-    if (config && config.services && config.services[service]) {
-      delete config.services[service];
-      fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
+    if (removeServiceCredentials(provider.credentialsKey)) {
       console.log(chalk.green('\n✓ API key deleted successfully!\n'));
     } else {
       console.log(chalk.yellow('\n⚠️  No API key found to delete.\n'));
@@ -646,61 +828,62 @@ function deleteServiceConfig(service) {
 }
 
 async function configureApiKey() {
-  const service = await promptServiceSelection();
+  const provider = await promptServiceSelection();
 
-  if (!service) {
+  if (!provider) {
     console.log(chalk.gray('\n→ Exiting configuration.\n'));
     return;
   }
 
-  // Handle Google Drive separately
-  if (service === 'googledrive') {
-    await configureGoogleDrive();
+  await unlockStoredCredentials({ write: true });
+
+  const credentials = getProviderCredentials(provider);
+
+  // Providers with their own setup flow (e.g. Google Drive OAuth)
+  if (provider.configure) {
+    await provider.configure(credentials);
     return;
   }
 
-  const credentials = getServiceCredentials(service);
   const apiKey = credentials ? credentials.apiKey : null;
-  const serviceName = service === 'pixeldrain' ? 'Pixeldrain' : 'Gofile';
 
   // If no API key exists, directly prompt for one
   if (!apiKey) {
-    const newApiKey = await promptApiKey(service);
+    const newApiKey = await promptApiKey(provider);
 
     if (!newApiKey) {
-      console.log(chalk.red('\n❌ API key cannot be empty\n'));
-      process.exit(1);
+      throw new UsageError('API key cannot be empty');
     }
 
-    saveConfig(service, { apiKey: newApiKey });
-    console.log(chalk.green(`\n✓ ${serviceName} API key saved successfully!\n`));
-    console.log(chalk.white('You can now upload files: ') + chalk.cyan(`pld -s <file> ${service === 'gofile' ? 'gf' : 'pd'}\n`));
+    saveConfig(provider.credentialsKey, { apiKey: newApiKey });
+    console.log(chalk.green(`\n✓ ${provider.label} API key saved successfully!`));
+    console.log(chalk.gray(`🔒 Stored in ${describeCredentialStore()}\n`));
+    console.log(chalk.white('You can now upload files: ') + chalk.cyan(`pld -s <file> ${formatServiceFlag(provider)}\n`));
     return;
   }
 
   // If API key exists, show menu
   while (true) {
-    const choice = await promptConfigMenu(service);
+    const choice = await promptConfigMenu(provider);
 
     switch (choice) {
       case '1':
         // View current API key (masked)
         const maskedKey = apiKey.substring(0, 4) + '...' + apiKey.substring(apiKey.length - 4);
         console.log(chalk.white('\n🔑 Current API Key: ') + chalk.cyan(maskedKey));
-        const config = loadConfig();
-        if (config.services && config.services[service] && config.services[service].updatedAt) {
-          console.log(chalk.gray('Updated: ' + formatTimestamp(config.services[service].updatedAt) + '\n'));
+        if (credentials.updatedAt) {
+          console.log(chalk.gray('Updated: ' + formatTimestamp(credentials.updatedAt) + '\n'));
         }
         break;
 
       case '2':
         // Change API key
-        const newKey = await promptApiKey(service);
+        const newKey = await promptApiKey(provider);
         if (!newKey) {
           console.log(chalk.red('\n❌ API key cannot be empty\n'));
           break;
         }
-        saveConfig(service, { apiKey: newKey });
+        saveConfig(provider.credentialsKey, { apiKey: newKey });
         console.log(chalk.green('\n✓ API key updated successfully!\n'));
         return;
 
@@ -708,7 +891,7 @@ async function configureApiKey() {
         // Delete API key
         const confirmed = await promptConfirmDelete();
         if (confirmed) {
-          deleteServiceConfig(service);
+          deleteServiceConfig(provider);
           return;
         } else {
           console.log(chalk.gray('\n→ Deletion cancelled.\n'));
@@ -726,528 +909,1379 @@ async function configureApiKey() {
   }
 }
 
+// Hide all but the ends of a secret
+function maskSecret(value) {
+  // Objects have nothing to show a piece of
+  const text = typeof value === 'object' ? '' : String(value);
+  return text.length > 8 ? text.substring(0, 4) + '...' + text.substring(text.length - 4) : '****';
+}
+
+// `pld config show`: effective settings and credentials, --resolved adds where each value came from
+async function showConfig(options) {
+  const settings = getSettings();
+  const settingSources = getSettingSources();
+  const nameWidth = Math.max(...Object.keys(settings).map(name => name.length));
+  const valueWidth = Math.max(...Object.values(settings).map(value => JSON.stringify(value).length));
+  const source = (from) => options.resolved ? chalk.gray(`  (${from})`) : '';
+
+  console.log(chalk.white.bold('\n⚙️  Settings:\n'));
+  for (const [name, value] of Object.entries(settings)) {
+    console.log(`   ${chalk.white(name.padEnd(nameWidth))}  ${chalk.cyan(JSON.stringify(value).padEnd(valueWidth))}` + source(settingSources[name]));
+  }
+
+  console.log(chalk.white.bold('\n🔑 Credentials:\n'));
+  try {
+    await unlockStoredCredentials();
+  } catch (error) {
+    console.log(chalk.red(`   ${error.message}\n`));
+    return;
+  }
+
+  let shown = 0;
+  for (const provider of listProviders()) {
+    const credentials = getProviderCredentials(provider);
+    const sources = describeCredentialSources(provider.credentialsKey);
+    for (const [field, from] of Object.entries(sources)) {
+      const value = (provider.describeCredential && provider.describeCredential(field, credentials[field])) ||
+        maskSecret(credentials[field]);
+      console.log(`   ${formatServiceLabel(provider)} ${chalk.white(field)}  ${chalk.cyan(value)}` + source(from));
+      shown++;
+    }
+  }
+  if (shown === 0) {
+    console.log(chalk.gray('   None configured, run: ') + chalk.cyan('pld --config'));
+  }
+  console.log('');
+}
+
 // ==================== UPLOAD FUNCTIONS ====================
 
-// Upload to Pixeldrain
-async function uploadToPixeldrain(filePath, apiKey) {
-  const spinner = ora();
+// Show the final link, QR code and copy it to the clipboard
+async function displayUploadResult(downloadLink, linkLabel) {
+  console.log(chalk.green('\n✓ Upload Successful! 🎉\n'));
+
+  console.log(chalk.white(`🔗 ${linkLabel}:`));
+  console.log(chalk.cyan.underline.bold(`   ${downloadLink}\n`));
+
+  // Display QR Code
+  console.log(chalk.white('📱 QR Code:'));
+  qrcode.generate(downloadLink, { small: true });
+  console.log('');
+
+  // Copy to clipboard
+  try {
+    await clipboardy.write(downloadLink);
+    console.log(chalk.green('✓ Link copied to clipboard!\n'));
+  } catch (clipError) {
+    console.log(chalk.yellow('⚠ Could not copy to clipboard\n'));
+  }
+}
+
+// Print a failed upload in a user friendly way
+function displayUploadError(error, provider) {
+  const status = error.response ? error.response.status : null;
+
+  if (status) {
+    console.log(chalk.red(`\n❌ Server Error: ${status}`));
+
+    if (status === 401 || status === 403) {
+      console.log(chalk.red(`Invalid ${provider.label} credentials. Please reconfigure: `) + chalk.cyan('pld --config\n'));
+    } else {
+      const data = error.response.data;
+      const message = (data && (data.message || (data.error && data.error.message))) || error.response.statusText || 'Unknown error';
+      console.log(chalk.red(`Message: ${message}\n`));
+    }
+  } else if (error.request || error.code === 'ENOTFOUND' || error.code === 'ENETUNREACH') {
+    console.log(chalk.red(`\n❌ Network Error: Could not reach ${provider.label}`));
+    console.log(chalk.yellow('Please check your internet connection\n'));
+  } else {
+    console.log(chalk.red(`\n❌ Error: ${error.message}\n`));
+  }
+}
+
+// Warn about files larger than the provider allows on free accounts and ask whether to send them.
+// --yes accepts without asking, --json/--quiet never ask and refuse instead.
+async function confirmSizeLimit(provider, oversized, options = {}) {
+  const toGB = (bytes) => bytes / (1024 * 1024 * 1024);
+
+  console.log(chalk.yellow(`\n⚠️  Warning: File size exceeds ${provider.label} free tier limit!`));
+  for (const error of oversized) {
+    const label = options.multiple ? `  ${error.file}: ` : '  File size: ';
+    console.log(chalk.white(label) + chalk.red(`${toGB(error.size).toFixed(2)} GB`));
+  }
+  console.log(chalk.white('  Free limit: ') + chalk.green(`${toGB(provider.maxFileSize)} GB`));
+  if (provider.maxFileSizeNote) {
+    console.log(chalk.gray(`\n  ${provider.maxFileSizeNote}`));
+  }
+  console.log(chalk.gray(`  Consider using another service for larger files or upgrade ${provider.label}.\n`));
+
+  if (options.yes) {
+    return true;
+  }
+  if (!isInteractive(options)) {
+    throw oversized[0];
+  }
+
+  return confirm(chalk.cyan('Continue upload anyway? (y/N): '));
+}
+
+// Provider for the service argument, the defaultService setting without one
+function resolveProvider(serviceFlag) {
+  return findUploadProvider(serviceFlag || getSetting('defaultService'));
+}
+
+// " (limit 2 MB/s)" while uploads are throttled
+function formatRateLimit(limit) {
+  const rate = limit && limit.rate;
+  return rate ? ` (limit ${formatFileSize(rate)}/s)` : '';
+}
+
+// --json and --quiet are meant for scripts: no spinner, QR code, clipboard or prompts
+function isInteractive(options) {
+  return !options.json && !options.quiet;
+}
 
+// "Retrying in 4s (attempt 2/4)" while an upload waits for its next try
+function formatRetry({ error, attempt, retries, delay }) {
+  return chalk.yellow(`${summarizeUploadError(error)}, retrying in ${Math.ceil(delay / 1000)}s `) +
+    chalk.gray(`(attempt ${attempt + 1}/${retries + 1})`);
+}
+
+// One upload as printed by --json: a result of upload(), or { service, file, size } with the error
+function createUploadRecord(item, startTime, error) {
+  const record = {
+    service: item.service,
+    file: item.file,
+    size: item.size,
+    duration: Date.now() - startTime
+  };
+
+  if (error) {
+    record.error = typeof error === 'string' ? error : summarizeUploadError(error);
+    return record;
+  }
+
+  record.fileId = item.fileId;
+  record.downloadLink = item.link;
+  record.hash = item.entry.sha256 || null;
+  record.md5 = item.md5;
+  if (item.verified !== null) {
+    record.verified = item.verified;
+  }
+  if (item.entry.contentSha256) {
+    record.contentHash = item.entry.contentSha256;
+  }
+  if (item.expiresAt) {
+    record.expiresAt = item.expiresAt;
+  }
+  if (item.key) {
+    record.key = item.key;
+  }
+  if (item.reused) {
+    record.reused = true;
+  }
+  return record;
+}
+
+// Results go to stdout, one JSON object per line with --json or the bare link with --quiet.
+// Other messages are sent to stderr in these modes, see the CLI setup.
+function printUploadRecord(record, options) {
+  if (options.json) {
+    process.stdout.write(JSON.stringify(record) + '\n');
+  } else if (record.downloadLink) {
+    process.stdout.write(record.downloadLink + (record.key ? `\t${record.key}` : '') + '\n');
+  }
+}
+
+// Print the decryption key of an upload made with --separate-key
+function displaySeparateKey(key) {
+  console.log(chalk.white('🔑 Decryption Key:'));
+  console.log(chalk.yellow.bold(`   ${key}\n`));
+  console.log(chalk.gray('   Share it separately from the link. It is not stored anywhere.'));
+  console.log(chalk.gray('   Recipients run: ') + chalk.cyan('pld decrypt <link> --key <key>\n'));
+}
+
+// SHA-256 recipients can check their download against, of the decrypted file for encrypted uploads
+function displayChecksum(entry, provider) {
+  const hash = entry.contentSha256 || entry.sha256;
+  if (!hash) return;
+
+  console.log(chalk.white('🔐 SHA-256: ') + chalk.gray(hash));
+  if (entry.verified) {
+    console.log(chalk.green(`   ✓ Matches the checksum reported by ${provider.label}\n`));
+  } else {
+    console.log('');
+  }
+}
+
+// Print when an upload expires and what deletes it
+function displayExpiry(entry, provider) {
+  console.log(chalk.white(`⏳ Expires: ${chalk.cyan(formatTimestamp(entry.expiresAt))}`));
+  if (entry.nativeExpiry) {
+    console.log(chalk.gray(`   ${provider.label} deletes it by itself, pld prune does too.\n`));
+  } else {
+    console.log(chalk.gray('   Run ') + chalk.cyan('pld prune') + chalk.gray(' (e.g. from cron) to delete expired uploads.\n'));
+  }
+}
+
+// Tell the user an interrupted upload can be continued
+function displayResumeHint() {
+  console.log(chalk.yellow('💾 Progress saved. Continue with ') + chalk.cyan('pld resume') +
+    chalk.yellow(' or run the same command again.\n'));
+}
+
+// Print why a command or upload failed, with a hint on how to fix it if there is one
+function displayCommandError(error) {
+  // The hint goes right under the message
+  const end = error.hint ? '' : '\n';
+  if (error instanceof CancelledError) {
+    console.log(chalk.yellow(`\n✋ ${error.message}${end}`));
+  } else if (error instanceof UploadError && error.cause) {
+    displayUploadError(error.cause, getProvider(error.service));
+  } else {
+    console.log(chalk.red(`\n❌ Error: ${error.message}${end}`));
+  }
+
+  if (error.hint) {
+    console.log(chalk.yellow(error.hint + '\n'));
+  } else if (error instanceof NotConfiguredError && error.service) {
+    console.log(chalk.white('Please configure it first: ') + chalk.cyan('pld --config\n'));
+  } else if (error instanceof SizeLimitError) {
+    console.log(chalk.yellow('Pass --yes to upload anyway\n'));
+  } else if (error.resumable) {
+    displayResumeHint();
+  }
+}
+
+// Upload a single file, directory or standard input through upload() with a spinner, link,
+// QR code and clipboard, or one record for --json/--quiet. `settings` are the options of
+// upload(). Resolves with its result, or null when the upload was declined. Failures are thrown.
+async function uploadFile(filePath, settings, options = {}) {
+  const provider = resolveProvider(settings.service);
+  const interactive = isInteractive(options);
+  const limit = settings.limitRate || createRateLimit();
+
+  // A passphrase is asked for before any spinner runs
+  await loadProviderCredentials(provider);
+
+  // --dedupe: share the link of an identical earlier upload instead of sending the file again
+  const lookup = ora({ isSilent: !interactive || !settings.dedupe });
+  const spinner = ora({ isSilent: !interactive });
+  const startTime = Date.now();
+  let started = null;
+  let progress = null;
+  let declined = false;
+
+  // Ctrl+C rejects the upload with a CancelledError
+  const abortController = new AbortController();
+  const handleCancel = () => abortController.abort();
+  process.on('SIGINT', handleCancel);
+
+  let result;
   try {
-    // Resolve absolute path
-    const absolutePath = path.resolve(filePath);
+    lookup.start(chalk.yellow('Looking for an earlier upload of this file...'));
+    result = await upload(filePath, {
+      ...settings,
+      limitRate: limit,
+      signal: abortController.signal,
+      // Standard input is checked while it is read, there is nobody to ask then
+      ignoreSizeLimit: filePath === STDIN_PATH && Boolean(options.yes),
+      confirmSizeLimit: async (error) => {
+        lookup.stop();
+        declined = !(await confirmSizeLimit(provider, [error], options));
+        if (!declined) {
+          lookup.start(chalk.yellow('Looking for an earlier upload of this file...'));
+        }
+        return !declined;
+      },
+      onStart: (info) => {
+        lookup.stop();
+        started = info;
+        if (interactive) {
+          console.log(formatServiceLabel(provider) + chalk.white(` 📁 File: ${chalk.cyan(info.file)}`));
+          if (info.encrypted) {
+            console.log(chalk.white(`🔒 Encryption: ${chalk.cyan('AES-256-GCM')}`));
+          }
+          if (info.archive) {
+            console.log(chalk.white(`📦 Folder: ${chalk.cyan(info.archive.fileCount + ' files')}, ${chalk.cyan(formatFileSize(info.archive.contentSize))} before compression (streamed as ${info.archive.format})\n`));
+          } else if (info.stdin) {
+            console.log(chalk.white(`📥 Reading from ${chalk.cyan('standard input')}\n`));
+          } else {
+            console.log(chalk.white(`📊 Size: ${chalk.cyan(formatFileSize(info.size))}\n`));
+          }
+        }
 
-    // Check if file exists
-    if (!fs.existsSync(absolutePath)) {
-      console.log(chalk.red(`❌ Error: File not found: ${filePath}`));
-      process.exit(1);
+        spinner.start(chalk.yellow(`Uploading to ${provider.label}...`));
+        progress = createProgress(spinner, {
+          total: info.size,
+          details: () => formatRateLimit(limit),
+          hint: '(Press Ctrl+C to cancel)'
+        });
+      },
+      onProgress: ({ loaded }) => progress.update(loaded),
+      onRetry: (retry) => progress.message(formatRetry(retry))
+    });
+  } catch (error) {
+    lookup.stop();
+    if (declined) {
+      console.log(chalk.yellow('\n✋ Upload cancelled\n'));
+      return null;
+    }
+    if (started) {
+      spinner.fail(error instanceof CancelledError ? chalk.yellow('⚠️  Upload cancelled by user') : chalk.red('Upload failed!'));
+      if (options.json) {
+        printUploadRecord(createUploadRecord({ service: provider.name, file: started.file, size: started.size }, startTime, error), options);
+      }
     }
+    throw error;
+  } finally {
+    process.removeListener('SIGINT', handleCancel);
+  }
 
-    // Get file stats
-    const stats = fs.statSync(absolutePath);
-    const fileName = path.basename(absolutePath);
-    const fileSize = formatFileSize(stats.size);
+  const entry = result.entry;
+  if (result.reused) {
+    lookup.succeed(chalk.green(`Already uploaded to ${provider.label} on ${formatTimestamp(entry.timestamp)}, reusing its link ✨`));
+  } else {
+    spinner.succeed(chalk.green('Upload complete! ✨') + chalk.gray(` ${progress.summary(result.size)}`));
+  }
+
+  if (!interactive) {
+    printUploadRecord(createUploadRecord(result, startTime), options);
+    return result;
+  }
 
-    console.log(chalk.green('[Pixeldrain]') + chalk.white(` 📁 File: ${chalk.cyan(fileName)}`));
-    console.log(chalk.white(`📊 Size: ${chalk.cyan(fileSize)}\n`));
+  // Display results
+  await displayUploadResult(result.link, provider.linkLabel || 'Download Link');
+  displayChecksum(entry, provider);
+  if (result.reused) {
+    console.log(chalk.gray('   Upload it again with ') + chalk.cyan('--force') + '\n');
+    return result;
+  }
+  if (result.key) {
+    displaySeparateKey(result.key);
+  }
+  if (result.expiresAt) {
+    displayExpiry(entry, provider);
+  }
+  return result;
+}
 
-    // Create form data with streaming
-    const form = new FormData();
-    const fileStream = fs.createReadStream(absolutePath);
-    form.append('file', fileStream, {
-      filename: fileName,
-      contentType: 'application/octet-stream'
+// Print the result table of a multi-file upload
+function displayUploadSummary(results) {
+  const nameWidth = Math.min(40, Math.max(4, ...results.map(result => result.name.length)));
+
+  console.log(chalk.white.bold('\n📋 Upload Summary:\n'));
+  console.log(chalk.gray(`   ${'File'.padEnd(nameWidth)}  ${'Size'.padEnd(10)}  Link`));
+
+  for (const result of results) {
+    const name = result.name.length > nameWidth
+      ? result.name.substring(0, nameWidth - 1) + '…'
+      : result.name.padEnd(nameWidth);
+    const size = (result.size === null ? '-' : formatFileSize(result.size)).padEnd(10);
+
+    if (result.upload) {
+      console.log(chalk.green(' ✓ ') + chalk.white(name) + '  ' + chalk.gray(size) + '  ' + chalk.cyan(result.upload.link) +
+        (result.upload.reused ? chalk.gray(' (reused)') : ''));
+      if (result.upload.key) {
+        console.log(' '.repeat(nameWidth + 17) + chalk.yellow(`key: ${result.upload.key}`));
+      }
+      if (result.upload.hash) {
+        console.log(' '.repeat(nameWidth + 17) + chalk.gray(`sha256: ${result.upload.hash}`));
+      }
+    } else {
+      console.log(chalk.red(' ✗ ') + chalk.white(name) + '  ' + chalk.gray(size) + '  ' + chalk.red(result.error));
+    }
+  }
+  console.log('');
+}
+
+// Upload several files through upload(), failures do not stop the remaining uploads.
+// Resolves with one { name, size, upload, error } per file, or null when declined.
+async function uploadFiles(filePaths, settings, options) {
+  const provider = resolveProvider(settings.service);
+  const limit = settings.limitRate;
+  const archiveOptions = {
+    format: settings.archive,
+    include: settings.include,
+    exclude: settings.exclude,
+    gitignore: settings.gitignore
+  };
+
+  // Missing files are reported in the summary instead of aborting everything
+  const results = filePaths.map(filePath => {
+    try {
+      const source = openUploadSource(filePath, archiveOptions);
+      return { filePath, source, name: source.name, size: source.size };
+    } catch (error) {
+      if (!(error instanceof UsageError)) throw error;
+      return { filePath, name: path.basename(filePath), size: null, error: error.message };
+    }
+  });
+  const pending = results.filter(result => !result.error);
+
+  await loadProviderCredentials(provider);
+
+  // Free tier size limits are asked about once for all files
+  const oversized = pending
+    .map(result => checkSizeLimit(provider, result.source, { encrypt: settings.encrypt }))
+    .filter(Boolean);
+  if (oversized.length > 0 && !(await confirmSizeLimit(provider, oversized, { ...options, multiple: true }))) {
+    console.log(chalk.yellow('\n✋ Upload cancelled\n'));
+    return null;
+  }
+
+  const interactive = isInteractive(options);
+  if (options.json) {
+    results.filter(result => result.error).forEach(result => {
+      printUploadRecord(createUploadRecord({ service: provider.name, file: result.name, size: null }, Date.now(), result.error), options);
     });
+  }
 
-    // Start spinner
-    spinner.start(chalk.yellow('Uploading to Pixeldrain...'));
+  // Directory archives have no size until they are sent, so no percentage then
+  const sizeKnown = pending.every(result => result.size !== null);
+  const totalBytes = pending.reduce((sum, result) => sum + (uploadSize(result.source, { encrypt: settings.encrypt }) || 0), 0);
+  if (interactive) {
+    console.log(formatServiceLabel(provider) + chalk.white(` 📁 Files: ${chalk.cyan(pending.length)}`));
+    if (sizeKnown) {
+      console.log(chalk.white(`📊 Total size: ${chalk.cyan(formatFileSize(totalBytes))}\n`));
+    } else {
+      console.log('');
+    }
+  }
 
-    // Prepare headers with API key
-    const headers = {
-      ...form.getHeaders(),
-      'Authorization': `Basic ${Buffer.from(`:${apiKey}`).toString('base64')}`
-    };
+  // Aggregated progress across all running uploads
+  const spinner = ora({ isSilent: !interactive });
+  spinner.start(chalk.yellow(`Uploading to ${provider.label}...`));
+
+  const loadedBytes = new Map();
+  const retrying = new Set();
+  let completed = 0;
+  let failed = 0;
+
+  const progress = createProgress(spinner, {
+    label: () => `Uploading ${completed + failed}/${pending.length} files`,
+    total: sizeKnown ? totalBytes : null,
+    details: () => formatRateLimit(limit) +
+      (failed > 0 ? chalk.red(` ${failed} failed`) : '') +
+      (retrying.size > 0 ? chalk.yellow(` ${retrying.size} retrying`) : ''),
+    hint: '(Press Ctrl+C to cancel)'
+  });
+  const renderProgress = () => {
+    let loaded = 0;
+    loadedBytes.forEach(bytes => { loaded += bytes; });
+    progress.update(loaded);
+  };
+
+  // Ctrl+C cancels the running uploads, the ones still waiting do not start
+  const abortController = new AbortController();
+  const handleCancel = () => {
+    spinner.fail(chalk.yellow('\n⚠️  Upload cancelled by user'));
+    abortController.abort();
+  };
+  process.on('SIGINT', handleCancel);
 
-    // Track upload progress
-    let startTime = Date.now();
-    let lastLoaded = 0;
-    let lastTime = startTime;
+  try {
+    await runWithConcurrency(pending, settings.concurrency, async (result, index) => {
+      const uploadStart = Date.now();
+      try {
+        result.upload = await upload(result.filePath, {
+          ...settings,
+          limitRate: limit,
+          signal: abortController.signal,
+          // Already confirmed above
+          ignoreSizeLimit: true,
+          onProgress: ({ loaded }) => {
+            retrying.delete(index);
+            loadedBytes.set(index, loaded);
+            renderProgress();
+          },
+          onRetry: () => {
+            retrying.add(index);
+            loadedBytes.delete(index);
+            renderProgress();
+          }
+        });
+        result.name = result.upload.file;
+        result.size = result.upload.size;
+        if (result.size !== null) {
+          loadedBytes.set(index, result.size);
+        }
+        completed++;
+      } catch (error) {
+        retrying.delete(index);
+        loadedBytes.delete(index);
+        result.error = summarizeUploadError(error);
+        failed++;
+      }
+      renderProgress();
 
-    // Create abort controller for cancellable upload
-    const abortController = new AbortController();
+      // Print each result as soon as it is known
+      if (!interactive && !abortController.signal.aborted) {
+        const item = result.upload || { service: provider.name, file: result.name, size: result.size };
+        printUploadRecord(createUploadRecord(item, uploadStart, result.error), options);
+      }
+    });
+  } finally {
+    process.removeListener('SIGINT', handleCancel);
+  }
 
-    // Handle Ctrl+C to cancel upload
-    const handleCancel = () => {
-      spinner.fail(chalk.yellow('\n⚠️  Upload cancelled by user'));
-      console.log(chalk.gray('Cleaning up...\n'));
-      abortController.abort();
-      process.exit(0);
-    };
+  if (abortController.signal.aborted) {
+    throw new CancelledError('Upload cancelled');
+  }
+
+  const succeeded = results.filter(result => result.upload);
+  if (succeeded.length === results.length) {
+    spinner.succeed(chalk.green(`Uploaded ${succeeded.length} files! ✨`) + chalk.gray(` ${progress.summary()}`));
+  } else if (succeeded.length > 0) {
+    spinner.warn(chalk.yellow(`Uploaded ${succeeded.length} of ${results.length} files`));
+  } else {
+    spinner.fail(chalk.red('Upload failed!'));
+  }
+
+  if (interactive) {
+    displayUploadSummary(results);
+    const expiring = succeeded.find(result => result.upload.expiresAt);
+    if (expiring) {
+      displayExpiry(expiring.upload.entry, provider);
+    }
+  }
+
+  // Copy all links, one per line
+  if (interactive && succeeded.length > 0) {
+    try {
+      await clipboardy.write(succeeded.map(result => result.upload.link).join('\n'));
+      console.log(chalk.green('✓ Links copied to clipboard!\n'));
+    } catch (clipError) {
+      console.log(chalk.yellow('⚠ Could not copy to clipboard\n'));
+    }
+  }
+
+  return results;
+}
+
+// Entry point for `pld -s`: expands globs and picks single or multi-file mode.
+// Option values are checked by upload() itself, once before any file is read.
+async function uploadCommand(patterns, serviceFlag, options) {
+  const fromStdin = patterns.includes(STDIN_PATH);
+  if (fromStdin && (patterns.length > 1 || !options.name)) {
+    throw new UsageError('Standard input is uploaded on its own and needs a file name', { hint: 'Usage: pld -s - --name <file-name> [service]' });
+  }
+  if (!fromStdin && options.name) {
+    throw new UsageError('--name only applies to standard input (pld -s -)');
+  }
+
+  const { files, unmatched } = fromStdin
+    ? { files: [STDIN_PATH], unmatched: [] }
+    : expandFilePatterns(patterns);
+
+  for (const pattern of unmatched) {
+    console.log(chalk.yellow(`⚠ No files match: ${pattern}`));
+  }
+
+  if (files.length === 0) {
+    throw new UsageError('No files to upload');
+  }
+
+  const encrypt = Boolean(options.encrypt || options.separateKey);
+  const settings = {
+    service: serviceFlag,
+    name: options.name,
+    retries: options.retries,
+    expire: options.expire,
+    // One limit for every upload of the command
+    limitRate: createRateLimit(options.limitRate),
+    archive: options.archive,
+    include: options.include,
+    exclude: options.exclude,
+    gitignore: Boolean(options.gitignore),
+    encrypt: encrypt,
+    separateKey: Boolean(options.separateKey),
+    // Encrypted and expiring uploads are never reused, see prepareUpload()
+    dedupe: !options.force && !encrypt && options.expire === undefined &&
+      Boolean(options.dedupe || getSetting('dedupe'))
+  };
+  checkUploadOptions(settings);
+
+  const outputOptions = {
+    json: Boolean(options.json),
+    quiet: Boolean(options.quiet),
+    yes: Boolean(options.yes)
+  };
+
+  if (files.length === 1 && unmatched.length === 0) {
+    await uploadFile(files[0], settings, outputOptions);
+    return;
+  }
+
+  const concurrency = parseInt(options.concurrency, 10);
+  if (!(concurrency >= 1)) {
+    throw new UsageError(`Invalid concurrency: ${options.concurrency}`);
+  }
 
-    process.on('SIGINT', handleCancel);
+  const results = await uploadFiles(files, { ...settings, concurrency }, outputOptions);
+  if (!results) return;
 
-    // Upload file
-    const response = await axios.post(PIXELDRAIN_UPLOAD_URL, form, {
-      headers: headers,
-      maxContentLength: Infinity,
-      maxBodyLength: Infinity,
-      signal: abortController.signal,
-      onUploadProgress: (progressEvent) => {
-        if (progressEvent.total) {
-          const percentCompleted = Math.round((progressEvent.loaded * 100) / progressEvent.total);
-
-          // Calculate speed
-          const currentTime = Date.now();
-          const timeDiff = (currentTime - lastTime) / 1000; // seconds
-          const loadedDiff = progressEvent.loaded - lastLoaded;
-
-          if (timeDiff > 0) {
-            const speedBps = loadedDiff / timeDiff; // bytes per second
-            const speedMbps = (speedBps / (1024 * 1024)).toFixed(2); // MB/s
-
-            // Calculate ETA
-            const remainingBytes = progressEvent.total - progressEvent.loaded;
-            const etaSeconds = Math.round(remainingBytes / speedBps);
-            const etaMin = Math.floor(etaSeconds / 60);
-            const etaSec = etaSeconds % 60;
-            const etaDisplay = etaMin > 0 ? `${etaMin}m ${etaSec}s` : `${etaSec}s`;
-
-            spinner.text = chalk.yellow(`Uploading... ${percentCompleted}% `) +
-              chalk.cyan(`[${speedMbps} MB/s]`) +
-              chalk.gray(` ETA: ${etaDisplay}`) +
-              chalk.gray(` (Press Ctrl+C to cancel)`);
-
-            lastLoaded = progressEvent.loaded;
-            lastTime = currentTime;
-          }
-        }
-      }
+  const succeeded = results.filter(result => result.upload).length;
+  if (succeeded < results.length) {
+    throw new PldError(`${results.length - succeeded} of ${results.length} files could not be uploaded`, {
+      exitCode: succeeded > 0 ? EXIT_PARTIAL_FAILURE : EXIT_FAILURE
     });
+  }
+}
 
-    // Remove signal handler after upload completes
-    process.removeListener('SIGINT', handleCancel);
+// ==================== DECRYPT COMMAND ====================
 
-    spinner.succeed(chalk.green('Upload complete! ✨'));
+// Default output name: strip the .enc suffix added on upload
+function decryptedFileName(name) {
+  if (name.endsWith(ENCRYPTED_EXTENSION) && name.length > ENCRYPTED_EXTENSION.length) {
+    return name.substring(0, name.length - ENCRYPTED_EXTENSION.length);
+  }
+  return name + '.decrypted';
+}
 
-    // Extract file ID from response
-    const fileId = response.data.id;
-    const downloadLink = `https://pixeldrain.com/u/${fileId}`;
+// Decrypt a local file or a share link made with `pld -s <file> --encrypt`
+async function decryptCommand(source, options) {
+  const spinner = ora();
+  let key = options.key;
+  let input;
+  let inputName;
 
-    // Save to history
-    const historyEntry = {
-      service: 'pixeldrain',
-      timestamp: new Date().toISOString(),
-      filename: fileName,
-      fileSize: fileSize,
-      fileId: fileId,
-      downloadLink: downloadLink
-    };
-    saveHistory(historyEntry);
+  try {
+    if (/^https?:\/\//i.test(source)) {
+      // Keys in the link fragment never reach the server, take it off before resolving
+      const parsed = parseKeyFromLink(source);
+      key = key || parsed.key;
+
+      spinner.start(chalk.yellow('Resolving link...'));
+      const target = await resolveLink(parsed.link);
+      const response = await openDownloadStream(target);
+      spinner.stop();
+
+      input = response.data;
+      inputName = target.name || fileNameFromResponse(response) || 'download' + ENCRYPTED_EXTENSION;
+      console.log(formatServiceLabel(target.provider) + chalk.white(` 📁 File: ${chalk.cyan(inputName)}`));
+    } else {
+      const absolutePath = path.resolve(source);
+      if (!fs.existsSync(absolutePath)) {
+        throw new UsageError(`File not found: ${source}`);
+      }
+      input = fs.createReadStream(absolutePath);
+      inputName = path.basename(absolutePath);
+      console.log(chalk.white(`📁 File: ${chalk.cyan(inputName)}`));
+    }
+  } catch (error) {
+    if (error instanceof UsageError) throw error;
+    spinner.fail(chalk.red('Could not download file!'));
+    throw new PldError(error.response ? `Server Error: ${error.response.status}` : error.message, { cause: error });
+  }
 
-    // Display results
-    console.log(chalk.green('\n✓ Upload Successful! 🎉\n'));
+  if (!key) {
+    key = await ask(chalk.yellow('🔑 Decryption key: '));
+  }
 
-    console.log(chalk.white('🔗 Download Link:'));
-    console.log(chalk.cyan.underline.bold(`   ${downloadLink}\n`));
+  const outputPath = path.resolve(options.output || decryptedFileName(inputName));
+  if (fs.existsSync(outputPath) && !options.force) {
+    input.destroy();
+    throw new UsageError(`Output file already exists: ${outputPath}`, { hint: 'Use --output <path> or --force to overwrite' });
+  }
 
-    // Display QR Code
-    console.log(chalk.white('📱 QR Code:'));
-    qrcode.generate(downloadLink, { small: true });
-    console.log('');
+  // Plaintext only replaces the output once every chunk has been authenticated
+  const partialPath = outputPath + '.part';
+  let decrypted = 0;
 
-    // Copy to clipboard
-    try {
-      await clipboardy.write(downloadLink);
-      console.log(chalk.green('✓ Link copied to clipboard!\n'));
-    } catch (clipError) {
-      console.log(chalk.yellow('⚠ Could not copy to clipboard\n'));
-    }
+  spinner.start(chalk.yellow('Decrypting...'));
 
-  } catch (error) {
-    spinner.fail(chalk.red('Upload failed!'));
+  try {
+    const decryptStream = createDecryptStream(key);
+    decryptStream.on('data', (chunk) => {
+      decrypted += chunk.length;
+      spinner.text = chalk.yellow(`Decrypting... ${formatFileSize(decrypted)}`);
+    });
 
-    if (error.response) {
-      console.log(chalk.red(`\n❌ Server Error: ${error.response.status}`));
+    await new Promise((resolve, reject) => {
+      pipeline(input, decryptStream, fs.createWriteStream(partialPath), (error) => {
+        if (error) reject(error);
+        else resolve();
+      });
+    });
 
-      if (error.response.status === 401 || error.response.status === 403) {
-        console.log(chalk.red('Invalid API key. Please reconfigure: ') + chalk.cyan('pld --config\n'));
-      } else {
-        console.log(chalk.red(`Message: ${error.response.data?.message || error.response.statusText || 'Unknown error'}\n`));
-      }
-    } else if (error.request) {
-      console.log(chalk.red('\n❌ Network Error: Could not reach the server'));
-      console.log(chalk.yellow('Please check your internet connection\n'));
-    } else {
-      console.log(chalk.red(`\n❌ Error: ${error.message}\n`));
+    fs.renameSync(partialPath, outputPath);
+    spinner.succeed(chalk.green('Decryption complete! 🔓'));
+    console.log(chalk.white('\n💾 Saved to: ') + chalk.cyan(outputPath));
+    console.log(chalk.white('📊 Size: ') + chalk.cyan(formatFileSize(decrypted)) + '\n');
+  } catch (error) {
+    if (fs.existsSync(partialPath)) {
+      fs.unlinkSync(partialPath);
     }
+    spinner.fail(chalk.red('Decryption failed!'));
+    throw new PldError(error.message, { cause: error });
+  }
+}
+
+// ==================== DOWNLOAD COMMAND ====================
 
-    process.exit(1);
+// Accept a share link or a number from `pld -ls`
+function resolveGetInput(input) {
+  if (/^\d+$/.test(input)) {
+    const history = getHistory();
+    const index = parseInt(input, 10);
+    if (index < 1 || index > history.length) {
+      throw new UsageError(`No upload #${input} in history (1-${history.length})`);
+    }
+    return history[index - 1].downloadLink;
+  }
+  if (!/^https?:\/\//i.test(input)) {
+    throw new UsageError(`Not a link or history number: ${input}`);
   }
+  return input;
 }
 
-// Upload to Gofile
-async function uploadToGofile(filePath, token) {
+// Download a file from a share link, resuming a previous partial download
+async function getCommand(input, options) {
   const spinner = ora();
+  const link = resolveGetInput(input);
+
+  // Keys of encrypted uploads live in the fragment, which is not part of the download
+  const { link: plainLink, key } = parseKeyFromLink(link);
+
+  let target;
+  let response;
+  let outputPath;
+  let partialPath;
+  let start = 0;
 
   try {
-    // Resolve absolute path
-    const absolutePath = path.resolve(filePath);
+    spinner.start(chalk.yellow('Resolving link...'));
+    target = await resolveLink(plainLink);
 
-    // Check if file exists
-    if (!fs.existsSync(absolutePath)) {
-      console.log(chalk.red(`❌ Error: File not found: ${filePath}`));
-      process.exit(1);
+    // Without a name from the service, the first response has to tell us
+    if (!options.output && !target.name) {
+      response = await openDownloadStream(target);
+      target.name = fileNameFromResponse(response) || safeFileName(String(target.fileId)) || 'download';
     }
 
-    // Get file stats
-    const stats = fs.statSync(absolutePath);
-    const fileName = path.basename(absolutePath);
-    const fileSize = formatFileSize(stats.size);
+    outputPath = path.resolve(options.output || target.name);
+    partialPath = outputPath + '.part';
 
-    console.log(chalk.magenta('[Gofile]') + chalk.white(` 📁 File: ${chalk.cyan(fileName)}`));
-    console.log(chalk.white(`📊 Size: ${chalk.cyan(fileSize)}\n`));
+    if (fs.existsSync(outputPath) && !options.force) {
+      spinner.stop();
+      if (response) response.data.destroy();
+      throw new UsageError(`Output file already exists: ${outputPath}`, { hint: 'Use --output <path> or --force to overwrite' });
+    }
 
-    // Create form data with streaming
-    const form = new FormData();
-    const fileStream = fs.createReadStream(absolutePath);
-    form.append('file', fileStream, {
-      filename: fileName
-    });
+    if (fs.existsSync(partialPath)) {
+      start = fs.statSync(partialPath).size;
+    }
 
-    // Start spinner
-    spinner.start(chalk.yellow('Uploading to Gofile...'));
+    if (start > 0 && target.size && start >= target.size) {
+      // Everything arrived last time, only the rename was missing
+      if (response) response.data.destroy();
+      response = null;
+    } else if (start > 0 || !response) {
+      if (response) response.data.destroy();
+      try {
+        response = await openDownloadStream(target, { start });
+      } catch (error) {
+        // 416: the server has nothing after our offset, start from scratch
+        if (!error.response || error.response.status !== 416) throw error;
+        start = 0;
+        response = await openDownloadStream(target);
+      }
+      if (start > 0 && response.status !== 206) {
+        // Server ignored the Range header, the whole file is coming again
+        start = 0;
+      }
+    }
+    spinner.stop();
+  } catch (error) {
+    if (error instanceof UsageError) throw error;
+    spinner.fail(chalk.red('Could not start download!'));
+    throw new PldError(error.response ? `Server Error: ${error.response.status}` : error.message, { cause: error });
+  }
 
-    // Prepare headers with optional token
-    const headers = {
-      ...form.getHeaders()
-    };
+  // Login or warning pages come back as HTML instead of the file
+  if (response && /text\/html/i.test(response.headers['content-type'] || '') && !/\.html?$/i.test(outputPath)) {
+    response.data.destroy();
+    throw new PldError('The service returned a web page instead of the file', {
+      hint: 'The link may be private, expired, or need to be opened in a browser'
+    });
+  }
 
-    // Add token if provided (otherwise upload as anonymous)
-    if (token) {
-      headers['Authorization'] = `Bearer ${token}`;
-    }
+  const contentLength = response ? parseInt(response.headers['content-length'], 10) : NaN;
+  const expectedSize = target.size || (Number.isFinite(contentLength) ? start + contentLength : null);
 
-    // Track upload progress
-    let startTime = Date.now();
-    let lastLoaded = 0;
-    let lastTime = startTime;
+  console.log(formatServiceLabel(target.provider) + chalk.white(` 📁 File: ${chalk.cyan(path.basename(outputPath))}`));
+  if (expectedSize) {
+    console.log(chalk.white(`📊 Size: ${chalk.cyan(formatFileSize(expectedSize))}`));
+  }
+  if (start > 0) {
+    console.log(chalk.white(`⏯  Resuming from ${chalk.cyan(formatFileSize(start))}`));
+  }
+  console.log('');
 
-    // Create abort controller for cancellable upload
-    const abortController = new AbortController();
+  let progress = null;
+  if (response) {
+    spinner.start(chalk.yellow('Downloading...'));
+    progress = createProgress(spinner, { label: 'Downloading', total: expectedSize, hint: '(Press Ctrl+C to pause)' });
+    let received = start;
 
-    // Handle Ctrl+C to cancel upload
+    // Ctrl+C keeps the partial file so the next run can resume
     const handleCancel = () => {
-      spinner.fail(chalk.yellow('\n⚠️  Upload cancelled by user'));
-      console.log(chalk.gray('Cleaning up...\n'));
-      abortController.abort();
+      response.data.destroy();
+      spinner.warn(chalk.yellow(`Download paused at ${formatFileSize(received)}`));
+      console.log(chalk.gray('Run the same command again to resume.\n'));
       process.exit(0);
     };
-
     process.on('SIGINT', handleCancel);
 
-    // Upload file
-    const response = await axios.post('https://upload.gofile.io/uploadfile', form, {
-      headers: headers,
-      maxContentLength: Infinity,
-      maxBodyLength: Infinity,
-      signal: abortController.signal,
-      onUploadProgress: (progressEvent) => {
-        if (progressEvent.total) {
-          const percentCompleted = Math.round((progressEvent.loaded * 100) / progressEvent.total);
-
-          // Calculate speed
-          const currentTime = Date.now();
-          const timeDiff = (currentTime - lastTime) / 1000; // seconds
-          const loadedDiff = progressEvent.loaded - lastLoaded;
-
-          if (timeDiff > 0) {
-            const speedBps = loadedDiff / timeDiff; // bytes per second
-            const speedMbps = (speedBps / (1024 * 1024)).toFixed(2); // MB/s
-
-            // Calculate ETA
-            const remainingBytes = progressEvent.total - progressEvent.loaded;
-            const etaSeconds = Math.round(remainingBytes / speedBps);
-            const etaMin = Math.floor(etaSeconds / 60);
-            const etaSec = etaSeconds % 60;
-            const etaDisplay = etaMin > 0 ? `${etaMin}m ${etaSec}s` : `${etaSec}s`;
-
-            spinner.text = chalk.yellow(`Uploading... ${percentCompleted}% `) +
-              chalk.cyan(`[${speedMbps} MB/s]`) +
-              chalk.gray(` ETA: ${etaDisplay}`) +
-              chalk.gray(` (Press Ctrl+C to cancel)`);
-
-            lastLoaded = progressEvent.loaded;
-            lastTime = currentTime;
-          }
-        }
-      }
-    });
+    try {
+      response.data.on('data', (chunk) => {
+        received += chunk.length;
+        progress.update(received);
+      });
 
-    // Remove signal handler after upload completes
-    process.removeListener('SIGINT', handleCancel);
+      await new Promise((resolve, reject) => {
+        pipeline(response.data, fs.createWriteStream(partialPath, { flags: start > 0 ? 'a' : 'w' }), (error) => {
+          if (error) reject(error);
+          else resolve();
+        });
+      });
+      process.removeListener('SIGINT', handleCancel);
+    } catch (error) {
+      process.removeListener('SIGINT', handleCancel);
+      spinner.fail(chalk.red('Download interrupted!'));
+      throw new PldError(error.message, { hint: 'Run the same command again to resume.', cause: error });
+    }
+  }
 
-    spinner.succeed(chalk.green('Upload complete! ✨'));
+  // Verify size before the file gets its final name
+  const actualSize = fs.statSync(partialPath).size;
+  if (expectedSize && actualSize !== expectedSize) {
+    spinner.fail(chalk.red('Download incomplete!'));
+    if (actualSize > expectedSize) {
+      fs.unlinkSync(partialPath);
+    }
+    throw new PldError(`Size mismatch: expected ${formatFileSize(expectedSize)}, got ${formatFileSize(actualSize)}`, {
+      hint: actualSize > expectedSize
+        ? 'The partial file was removed, run the command again to start over.'
+        : 'Run the same command again to resume.'
+    });
+  }
 
-    // Extract file ID and download link from Gofile response
-    const fileId = response.data.data.fileId;
-    const downloadLink = response.data.data.downloadPage;
+  fs.renameSync(partialPath, outputPath);
+  spinner.succeed(chalk.green('Download complete! ✨') + (progress ? chalk.gray(` ${progress.summary(actualSize)}`) : ''));
+  console.log(chalk.white('\n💾 Saved to: ') + chalk.cyan(outputPath));
+  console.log(chalk.white('📊 Size: ') + chalk.cyan(formatFileSize(actualSize)) + (expectedSize ? chalk.green(' (verified)') : '') + '\n');
 
-    // Save to history
-    const historyEntry = {
-      service: 'gofile',
-      timestamp: new Date().toISOString(),
-      filename: fileName,
-      fileSize: fileSize,
-      fileId: fileId,
-      downloadLink: downloadLink
-    };
-    saveHistory(historyEntry);
+  if (key) {
+    console.log(chalk.white('🔒 This file is encrypted. Decrypt it with:'));
+    console.log(chalk.cyan(`   pld decrypt "${path.basename(outputPath)}" --key ${key}\n`));
+  }
+}
 
-    // Display results
-    console.log(chalk.green('\n✓ Upload Successful! 🎉\n'));
+// ==================== RESUME COMMAND ====================
 
-    console.log(chalk.white('🔗 Download Link:'));
-    console.log(chalk.cyan.underline.bold(`   ${downloadLink}\n`));
+// Continue uploads that were interrupted, or forget them with --discard
+async function resumeCommand(options = {}) {
+  const sessions = loadSessions();
 
-    // Display QR Code
-    console.log(chalk.white('📱 QR Code:'));
-    qrcode.generate(downloadLink, { small: true });
-    console.log('');
+  if (sessions.length === 0) {
+    console.log(chalk.yellow('\n📭 No interrupted uploads to resume\n'));
+    return;
+  }
+
+  if (options.discard) {
+    sessions.forEach(session => removeSession(session.service, session.path));
+    console.log(chalk.green(`\n✓ Discarded ${sessions.length} interrupted upload${sessions.length === 1 ? '' : 's'}\n`));
+    return;
+  }
 
-    // Copy to clipboard
+  let resumed = 0;
+  let failed = 0;
+  for (const session of sessions) {
+    let stats = null;
     try {
-      await clipboardy.write(downloadLink);
-      console.log(chalk.green('✓ Link copied to clipboard!\n'));
-    } catch (clipError) {
-      console.log(chalk.yellow('⚠ Could not copy to clipboard\n'));
+      stats = fs.statSync(session.path);
+    } catch (error) {
+      // Handled below as a missing file
     }
 
-  } catch (error) {
-    spinner.fail(chalk.red('Upload failed!'));
-
-    if (error.response) {
-      console.log(chalk.red(`\n❌ Server Error: ${error.response.status}`));
+    if (!stats || stats.size !== session.size || stats.mtimeMs !== session.modifiedAt) {
+      console.log(chalk.yellow(`⚠️  ${session.path} was ${stats ? 'modified' : 'removed'} since the upload started, skipping it`));
+      removeSession(session.service, session.path);
+      continue;
+    }
 
-      if (error.response.status === 401 || error.response.status === 403) {
-        console.log(chalk.red('Invalid API token. Please reconfigure: ') + chalk.cyan('pld --config\n'));
-      } else {
-        console.log(chalk.red(`Message: ${error.response.data?.message || error.response.statusText || 'Unknown error'}\n`));
-      }
-    } else if (error.request) {
-      console.log(chalk.red('\n❌ Network Error: Could not reach the server'));
-      console.log(chalk.yellow('Please check your internet connection\n'));
-    } else {
-      console.log(chalk.red(`\n❌ Error: ${error.message}\n`));
+    const percent = Math.round((session.offset * 100) / session.size);
+    console.log(chalk.white(`\n🔁 Resuming ${chalk.cyan(session.name)} at ${percent}% (${formatFileSize(session.offset)} of ${formatFileSize(session.size)})`));
+    // One failed upload does not stop the others, the session is kept for the next try
+    try {
+      await uploadFile(session.path, { service: session.service });
+      resumed++;
+    } catch (error) {
+      displayCommandError(error);
+      failed++;
     }
+  }
 
-    process.exit(1);
+  if (failed > 0) {
+    throw new PldError(`${failed} of ${resumed + failed} uploads failed`, {
+      exitCode: resumed > 0 ? EXIT_PARTIAL_FAILURE : EXIT_FAILURE
+    });
   }
 }
 
-// Upload to Google Drive
-async function uploadToGoogleDrive(filePath) {
-  const spinner = ora();
+// ==================== WATCH COMMAND ====================
 
-  try {
-    // Resolve absolute path
-    const absolutePath = path.resolve(filePath);
+// Seconds a new file must stop growing before it is uploaded
+const WATCH_SETTLE_SECONDS = 3;
 
-    // Check if file exists
-    if (!fs.existsSync(absolutePath)) {
-      console.log(chalk.red(`❌ Error: File not found: ${filePath}`));
-      process.exit(1);
-    }
+// Move an uploaded file into a folder, next to older ones of the same name
+function moveUploadedFile(filePath, targetDir) {
+  const parsed = path.parse(filePath);
+  let target = path.join(targetDir, parsed.base);
+  for (let copy = 1; fs.existsSync(target); copy++) {
+    target = path.join(targetDir, `${parsed.name} (${copy})${parsed.ext}`);
+  }
+
+  try {
+    fs.renameSync(filePath, target);
+  } catch (error) {
+    // Another drive, rename cannot move across file systems
+    if (error.code !== 'EXDEV') throw error;
+    fs.copyFileSync(filePath, target);
+    fs.unlinkSync(filePath);
+  }
+  return target;
+}
 
-    // Get file stats
-    const stats = fs.statSync(absolutePath);
-    const fileName = path.basename(absolutePath);
-    const fileSize = formatFileSize(stats.size);
+// Entry point for `pld watch`: upload every file that shows up in a folder until Ctrl+C
+async function watchCommand(dir, serviceFlag, options) {
+  const json = options.json || program.opts().json;
+  const interactive = !json && isInteractive(program.opts());
+  const absoluteDir = path.resolve(dir);
 
-    console.log(chalk.blue('[Google Drive]') + chalk.white(` 📁 File: ${chalk.cyan(fileName)}`));
-    console.log(chalk.white(`📊 Size: ${chalk.cyan(fileSize)}\n`));
+  if (!fs.existsSync(absoluteDir) || !fs.statSync(absoluteDir).isDirectory()) {
+    throw new UsageError(`Not a folder: ${dir}`);
+  }
+  if (options.moveTo && options.delete) {
+    throw new UsageError('Use either --move-to or --delete');
+  }
 
-    // Get OAuth2 client
-    const auth = await getGoogleDriveClient();
-    if (!auth) {
-      console.log(chalk.red('❌ Error: Google Drive not configured\n'));
-      console.log(chalk.white('Please configure Google Drive first: ') + chalk.cyan('pld --config\n'));
-      process.exit(1);
+  let settle = WATCH_SETTLE_SECONDS;
+  if (options.settle !== undefined) {
+    settle = Number(options.settle);
+    if (!Number.isFinite(settle) || settle < 0) {
+      throw new UsageError(`Invalid settle time: ${options.settle}`, { hint: 'Use a number of seconds, e.g. --settle 5' });
     }
+  }
 
-    // Create Drive client
-    const drive = google.drive({ version: 'v3', auth });
-
-    // Start spinner
-    spinner.start(chalk.yellow('Uploading to Google Drive...'));
+  const moveTo = options.moveTo ? path.resolve(options.moveTo) : null;
+  if (moveTo) {
+    try {
+      fs.mkdirSync(moveTo, { recursive: true });
+    } catch (error) {
+      throw new UsageError(`Cannot create ${options.moveTo}: ${error.message}`, { cause: error });
+    }
+  }
 
-    // Create file metadata
-    const fileMetadata = {
-      name: fileName
-    };
+  const provider = resolveProvider(serviceFlag);
+  await loadProviderCredentials(provider);
+  const limit = createRateLimit();
+  const abortController = new AbortController();
+  const spinner = ora({ isSilent: !interactive });
+  let clipboardFailed = false;
 
-    // Create media object
-    const media = {
-      mimeType: 'application/octet-stream',
-      body: fs.createReadStream(absolutePath)
-    };
+  console.log(formatServiceLabel(provider) + chalk.white(` 👀 Watching ${chalk.cyan(absoluteDir)}${options.recursive ? ' and its subfolders' : ''}`));
+  if (options.include) {
+    console.log(chalk.gray(`   Only: ${options.include.join(', ')}`));
+  }
+  if (options.exclude) {
+    console.log(chalk.gray(`   Skipping: ${options.exclude.join(', ')}`));
+  }
+  if (moveTo) {
+    console.log(chalk.gray(`   Uploaded files are moved to ${moveTo}`));
+  } else if (options.delete) {
+    console.log(chalk.gray('   Uploaded files are deleted'));
+  }
+  console.log(chalk.gray('   Press Ctrl+C to stop\n'));
 
-    // Upload file
-    const response = await drive.files.create({
-      requestBody: fileMetadata,
-      media: media,
-      fields: 'id, name, webViewLink, webContentLink'
-    });
+  const uploadWatchedFile = async (file) => {
+    const startTime = Date.now();
+    let progress = null;
 
-    // Set file to be publicly accessible
-    await drive.permissions.create({
-      fileId: response.data.id,
-      requestBody: {
-        role: 'reader',
-        type: 'anyone'
+    try {
+      // Files over the size limit are refused, nobody is there to ask
+      const result = await upload(file.path, {
+        service: provider.name,
+        signal: abortController.signal,
+        limitRate: limit,
+        onStart: ({ size }) => {
+          spinner.start(chalk.yellow(`Uploading ${file.relativePath}...`));
+          progress = createProgress(spinner, {
+            label: `Uploading ${file.relativePath}`,
+            total: size,
+            details: () => formatRateLimit(limit)
+          });
+        },
+        onProgress: ({ loaded }) => progress.update(loaded),
+        onRetry: (retry) => progress.message(formatRetry(retry))
+      });
+      const entry = result.entry;
+      spinner.succeed(chalk.green('Uploaded ') + chalk.white(file.relativePath) + ' ' + chalk.cyan(result.link) +
+        chalk.gray(` ${progress.summary(result.size)}`));
+
+      if (json) {
+        printUploadRecord({ ...createUploadRecord(result, startTime), path: file.path }, { json: true });
+      } else if (interactive) {
+        try {
+          await clipboardy.write(result.link);
+        } catch (error) {
+          if (!clipboardFailed) {
+            console.log(chalk.yellow('⚠ Could not copy to clipboard'));
+          }
+          clipboardFailed = true;
+        }
       }
-    });
-
-    // Get updated file info with sharing link
-    const file = await drive.files.get({
-      fileId: response.data.id,
-      fields: 'id, name, webViewLink, webContentLink'
-    });
-
-    spinner.succeed(chalk.green('Upload complete! ✨'));
-
-    const fileId = file.data.id;
-    const downloadLink = file.data.webViewLink || `https://drive.google.com/file/d/${fileId}/view?usp=sharing`;
-
-    // Save to history
-    const historyEntry = {
-      service: 'googledrive',
-      timestamp: new Date().toISOString(),
-      filename: fileName,
-      fileSize: fileSize,
-      fileId: fileId,
-      downloadLink: downloadLink
-    };
-    saveHistory(historyEntry);
-
-    // Display results
-    console.log(chalk.green('\n✓ Upload Successful! 🎉\n'));
 
-    console.log(chalk.white('🔗 Share Link:'));
-    console.log(chalk.cyan.underline.bold(`   ${downloadLink}\n`));
-
-    // Display QR Code
-    console.log(chalk.white('📱 QR Code:'));
-    qrcode.generate(downloadLink, { small: true });
-    console.log('');
+      // The upload counts even if the file cannot be moved or deleted. History
+      // follows the file, so pld check --reupload finds it where it went.
+      try {
+        if (moveTo) {
+          await updateHistoryEntry(entry.id, { path: moveUploadedFile(file.path, moveTo) });
+        } else if (options.delete) {
+          fs.unlinkSync(file.path);
+          await updateHistoryEntry(entry.id, { path: null });
+        }
+      } catch (error) {
+        console.log(chalk.yellow(`⚠ Could not ${moveTo ? 'move' : 'delete'} ${file.relativePath}: ${error.message}`));
+      }
+      return entry;
+    } catch (error) {
+      // Removed again before it could be uploaded
+      if (!progress && !fs.existsSync(file.path)) return null;
 
-    // Copy to clipboard
-    try {
-      await clipboardy.write(downloadLink);
-      console.log(chalk.green('✓ Link copied to clipboard!\n'));
-    } catch (clipError) {
-      console.log(chalk.yellow('⚠ Could not copy to clipboard\n'));
+      spinner.fail(chalk.red('Could not upload ') + chalk.white(file.relativePath) + chalk.red(`: ${summarizeUploadError(error)}`));
+      if (json) {
+        const item = { service: provider.name, file: path.basename(file.path), size: file.size };
+        printUploadRecord({ ...createUploadRecord(item, startTime, error), path: file.path }, { json: true });
+      }
+      console.log(chalk.gray('   It is tried again once the file changes.'));
+      throw error;
     }
+  };
 
+  let watcher;
+  try {
+    watcher = watchFolder(absoluteDir, {
+      include: options.include,
+      exclude: options.exclude,
+      recursive: Boolean(options.recursive),
+      skipDirs: moveTo ? [moveTo] : [],
+      settle: settle * 1000,
+      existing: Boolean(options.existing),
+      onReady: uploadWatchedFile,
+      onError: (error) => console.log(chalk.yellow(`⚠ Could not read ${absoluteDir}: ${error.message}`))
+    });
   } catch (error) {
-    spinner.fail(chalk.red('Upload failed!'));
+    throw new PldError(error.message, { cause: error });
+  }
 
-    if (error.code === 401 || error.code === 403) {
-      console.log(chalk.red('\n❌ Authentication Error'));
-      console.log(chalk.yellow('Please re-authorize Google Drive: ') + chalk.cyan('pld --config\n'));
-    } else if (error.code === 'ENOTFOUND' || error.code === 'ENETUNREACH') {
-      console.log(chalk.red('\n❌ Network Error: Could not reach Google Drive'));
-      console.log(chalk.yellow('Please check your internet connection\n'));
-    } else {
-      console.log(chalk.red(`\n❌ Error: ${error.message}\n`));
+  // Stopping while idle is the normal way to end, an interrupted upload is sent again next time
+  process.on('SIGINT', () => {
+    const uploading = watcher.busy;
+    watcher.stop();
+    if (uploading) {
+      spinner.fail(chalk.yellow('\n⚠️  Upload cancelled by user'));
+      abortController.abort();
+      process.exit(EXIT_CANCELLED);
     }
+    console.log(chalk.white('\n👋 Stopped watching\n'));
+    process.exit(EXIT_SUCCESS);
+  });
+}
 
-    process.exit(1);
+// ==================== SERVE COMMAND ====================
+
+const DEFAULT_SERVE_PORT = 7700;
+// Finished jobs GET /jobs still knows about, older ones are forgotten
+const SERVE_JOB_LIMIT = 100;
+const SERVE_HISTORY_LIMIT = 50;
+
+// A job as returned by the API
+function describeJob(job) {
+  const description = {
+    id: job.id,
+    status: job.status,
+    service: job.provider ? job.provider.name : null,
+    file: job.name,
+    size: job.size,
+    loaded: job.loaded,
+    createdAt: job.createdAt
+  };
+  if (job.finishedAt) {
+    description.finishedAt = job.finishedAt;
   }
+  if (job.result) {
+    description.result = job.result;
+  }
+  if (job.error) {
+    description.error = job.error;
+  }
+  return description;
+}
+
+// Invalid values sent to the API answer 400, with the hint the command line would print
+function toHttpError(error) {
+  if (!(error instanceof UsageError)) return error;
+  return new HttpError(400, error.hint ? `${error.message}. ${error.hint}` : error.message);
 }
 
-// Main upload router
-async function uploadFile(filePath, serviceFlag) {
-  // Validate file path
-  if (!filePath) {
-    console.log(chalk.red('❌ Error: Please provide a file path'));
-    console.log(chalk.yellow('Usage: pld -s <file-path> [gf|pd|gd]'));
-    process.exit(1);
+// Query parameters as pld history options, invalid values answer 400
+function parseHistoryQuery(url) {
+  const params = Object.fromEntries(url.searchParams);
+  const filters = { ...params, reverse: params.reverse === 'true' };
+
+  const limit = params.limit === undefined ? SERVE_HISTORY_LIMIT : Number(params.limit);
+  const offset = params.offset === undefined ? 0 : Number(params.offset);
+  if (!Number.isInteger(limit) || limit < 1 || !Number.isInteger(offset) || offset < 0) {
+    throw new HttpError(400, 'limit must be a positive and offset a non-negative whole number');
   }
+  return { filters, limit, offset };
+}
 
-  // Determine service from flag
-  let service = 'gofile'; // default
-  if (serviceFlag === 'gf') {
-    service = 'gofile';
-  } else if (serviceFlag === 'pd') {
-    service = 'pixeldrain';
-  } else if (serviceFlag === 'gd') {
-    service = 'googledrive';
+// Entry point for `pld serve`: upload files sent over HTTP from tools on this machine
+async function serveCommand(options) {
+  const port = options.port === undefined ? DEFAULT_SERVE_PORT : Number(options.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new UsageError(`Invalid port: ${options.port}`);
   }
 
-  // Handle Google Drive upload
-  if (service === 'googledrive') {
-    await uploadToGoogleDrive(filePath);
-    return;
+  await unlockStoredCredentials();
+
+  const maxSize = parseFileSize(getSetting('serveMaxSize'));
+  if (maxSize === null) {
+    throw new UsageError(`Invalid serveMaxSize: ${getSetting('serveMaxSize')}`, { hint: 'Use a size like 500MB or 2GB, 0 for no limit' });
   }
 
-  // Check for API key
-  const credentials = getServiceCredentials(service);
-  const apiKey = credentials ? credentials.apiKey : null;
+  const token = loadServeToken();
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pld-serve-'));
+  const rateLimit = createRateLimit();
+  const jobs = new Map();
+  const running = new Set();
+
+  const forgetOldJobs = () => {
+    const finished = [...jobs.values()].filter(job => job.finishedAt);
+    for (const job of finished.slice(0, Math.max(0, finished.length - SERVE_JOB_LIMIT))) {
+      jobs.delete(job.id);
+    }
+  };
+
+  // Receive the body, then upload it in the background; resolves with the job once it runs
+  const createUploadJob = async (req, url) => {
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'receiving',
+      provider: null,
+      name: null,
+      size: null,
+      loaded: 0,
+      createdAt: new Date().toISOString(),
+      abortController: new AbortController()
+    };
+    // The upload is named after the file it was sent as, so each job gets its own folder
+    const jobDir = path.join(tempDir, job.id);
+    let tempFile = path.join(jobDir, 'upload');
+    fs.mkdirSync(jobDir);
+    jobs.set(job.id, job);
+
+    // Bodies are cut off while they arrive once they pass serveMaxSize or the limit of the
+    // service, which is known when it is a query parameter, a form field sent before the
+    // file or the default. A service field after the file is checked once it arrived.
+    const uploadLimit = (fields) => {
+      const provider = getProvider(url.searchParams.get('service') || fields.service || getSetting('defaultService'));
+      const limits = [maxSize, provider && provider.maxFileSize].filter(Boolean);
+      return limits.length > 0 ? Math.min(...limits) : 0;
+    };
 
-  // Pre-upload validation: Check file size for Pixeldrain
-  if (service === 'pixeldrain') {
+    let expire;
     try {
-      const absolutePath = path.resolve(filePath);
-      if (fs.existsSync(absolutePath)) {
-        const stats = fs.statSync(absolutePath);
-        const fileSizeGB = stats.size / (1024 * 1024 * 1024);
-        const maxSizeGB = 10;
-
-        if (fileSizeGB > maxSizeGB) {
-          console.log(chalk.yellow('\n⚠️  Warning: File size exceeds Pixeldrain free tier limit!'));
-          console.log(chalk.white('  File size: ') + chalk.red(`${fileSizeGB.toFixed(2)} GB`));
-          console.log(chalk.white('  Free limit: ') + chalk.green(`${maxSizeGB} GB`));
-          console.log(chalk.gray('\n  Pixeldrain free accounts have a 10GB upload limit.'));
-          console.log(chalk.gray('  Consider using Gofile for larger files or upgrade Pixeldrain.\n'));
-
-          // Ask user confirmation
-          const readline = require('readline');
-          const rl = readline.createInterface({
-            input: process.stdin,
-            output: process.stdout
-          });
+      const body = await receiveUpload(req, tempFile, { maxSize: uploadLimit });
+      // Query parameters win over form fields
+      const param = name => url.searchParams.get(name) || body.fields[name];
+
+      job.name = path.basename(param('name') || body.name || '');
+      job.size = body.size;
+      if (!job.name) {
+        throw new HttpError(400, 'Missing file name, add ?name=<file name> to raw uploads');
+      }
 
-          const answer = await new Promise((resolve) => {
-            rl.question(chalk.cyan('Continue upload anyway? (y/N): '), (ans) => {
-              rl.close();
-              resolve(ans);
-            });
-          });
+      const serviceName = param('service') || getSetting('defaultService');
+      job.provider = getProvider(serviceName);
+      if (!job.provider) {
+        throw new HttpError(400, `Unknown service: ${serviceName} (available: ${listProviders().map(provider => provider.name).join(', ')})`);
+      }
+      if (job.provider.maxFileSize && job.size > job.provider.maxFileSize) {
+        throw new HttpError(413, `${job.name} is over the ${formatFileSize(job.provider.maxFileSize)} limit of ${job.provider.label}`);
+      }
+      expire = param('expire') || undefined;
+      try {
+        checkUploadOptions({ service: job.provider.name, expire: expire });
+      } catch (error) {
+        throw toHttpError(error);
+      }
 
-          if (answer.toLowerCase() !== 'y' && answer.toLowerCase() !== 'yes') {
-            console.log(chalk.yellow('\n✋ Upload cancelled\n'));
-            process.exit(0);
-          }
-        }
+      const filePath = path.join(jobDir, job.name);
+      fs.renameSync(tempFile, filePath);
+      tempFile = filePath;
+    } catch (error) {
+      jobs.delete(job.id);
+      fs.rm(jobDir, { recursive: true, force: true }, () => {});
+      throw error;
+    }
+
+    const credentials = getProviderCredentials(job.provider);
+    try {
+      if (job.provider.validateCredentials) {
+        job.provider.validateCredentials(credentials);
       }
     } catch (error) {
-      // If file check fails, continue anyway (will fail later with proper error)
+      jobs.delete(job.id);
+      fs.rm(jobDir, { recursive: true, force: true }, () => {});
+      throw new HttpError(409, `${error.message}, run pld --config first`);
     }
-  }
 
-  // Pixeldrain requires API key, Gofile is optional (can upload anonymously)
-  if (!apiKey && service === 'pixeldrain') {
-    console.log(chalk.red(`❌ Error: No Pixeldrain API key found\n`));
-    console.log(chalk.white('Please configure your API key first: ') + chalk.cyan('pld --config\n'));
-    process.exit(1);
-  }
+    const startTime = Date.now();
+    job.status = 'uploading';
+    console.log(chalk.white('⬆️  ') + formatServiceLabel(job.provider) + chalk.white(` ${job.name} (${formatFileSize(job.size)})`));
+
+    job.done = upload(tempFile, {
+      service: job.provider.name,
+      expire: expire,
+      signal: job.abortController.signal,
+      limitRate: rateLimit,
+      // Checked while the body arrived
+      ignoreSizeLimit: true,
+      onProgress: ({ loaded }) => {
+        job.loaded = loaded;
+      }
+    }).then(async (result) => {
+      // The temporary copy is not a place to upload again from, so it stays out of history
+      await updateHistoryEntry(result.id, { path: null });
+      job.status = 'done';
+      job.loaded = job.size;
+      job.result = createUploadRecord(result, startTime);
+      console.log(chalk.green('✓ ') + chalk.white(job.name) + ' ' + chalk.cyan(result.link));
+    }, (error) => {
+      job.status = 'failed';
+      job.error = summarizeUploadError(error);
+      console.log(chalk.red('✗ ') + chalk.white(job.name) + chalk.red(`: ${job.error}`));
+    }).finally(() => {
+      job.finishedAt = new Date().toISOString();
+      running.delete(job);
+      fs.rm(jobDir, { recursive: true, force: true }, () => {});
+      forgetOldJobs();
+    });
+    running.add(job);
+    return job;
+  };
+
+  const routes = [
+    {
+      method: 'GET',
+      path: /^\/health$/,
+      public: true,
+      handler: async () => [200, { status: 'ok', version: CURRENT_VERSION }]
+    },
+    {
+      method: 'GET',
+      path: /^\/services$/,
+      handler: async () => [200, {
+        defaultService: getSetting('defaultService'),
+        services: listProviders().map(provider => ({
+          name: provider.name,
+          label: provider.label,
+          aliases: provider.aliases || [],
+          maxFileSize: provider.maxFileSize || null
+        }))
+      }]
+    },
+    {
+      method: 'POST',
+      path: /^\/uploads$/,
+      handler: async (req, match, url) => {
+        const job = await createUploadJob(req, url);
+        if (url.searchParams.get('wait') === 'false') {
+          return [202, describeJob(job)];
+        }
+        await job.done;
+        return [job.status === 'done' ? 200 : 502, describeJob(job)];
+      }
+    },
+    {
+      method: 'GET',
+      path: /^\/jobs$/,
+      handler: async () => [200, { jobs: [...jobs.values()].reverse().map(describeJob) }]
+    },
+    {
+      method: 'GET',
+      path: /^\/jobs\/([\w-]+)$/,
+      handler: async (req, match) => {
+        const job = jobs.get(match[1]);
+        if (!job) {
+          throw new HttpError(404, `No job ${match[1]}`);
+        }
+        return [200, describeJob(job)];
+      }
+    },
+    {
+      method: 'GET',
+      path: /^\/history$/,
+      handler: async (req, match, url) => {
+        const { filters, limit, offset } = parseHistoryQuery(url);
+        let entries;
+        try {
+          entries = getHistory(filters);
+        } catch (error) {
+          throw toHttpError(error);
+        }
+        return [200, { total: entries.length, offset, limit, entries: entries.slice(offset, offset + limit) }];
+      }
+    }
+  ];
 
-  // Upload to the appropriate service
-  if (service === 'gofile') {
-    // Pass token (can be null for anonymous upload)
-    await uploadToGofile(filePath, apiKey);
-  } else {
-    await uploadToPixeldrain(filePath, apiKey);
+  let server;
+  try {
+    server = await startApiServer({
+      host: '127.0.0.1',
+      port: port,
+      token: token,
+      routes: routes,
+      onRequest: ({ method, path: requestPath, status }) => {
+        if (status >= 400) {
+          console.log(chalk.yellow(`⚠ ${method} ${requestPath} ${status}`));
+        }
+      }
+    });
+  } catch (error) {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    throw new PldError(`Cannot listen on port ${port}: ${error.code === 'EADDRINUSE' ? 'already in use' : error.message}`, { cause: error });
   }
+
+  const address = `http://127.0.0.1:${server.address().port}`;
+  console.log(chalk.white(`\n🛰️  pld is listening on ${chalk.cyan(address)}`));
+  console.log(chalk.gray(`   Token: ${SERVE_TOKEN_FILE}`));
+  console.log(chalk.gray('   Upload: ') + chalk.cyan(`curl -H "Authorization: Bearer $(cat ${SERVE_TOKEN_FILE})" -F file=@notes.pdf ${address}/uploads`));
+  console.log(chalk.gray('   Press Ctrl+C to stop\n'));
+
+  // Uploads still running are cancelled, their temporary copies removed
+  process.on('SIGINT', () => {
+    server.close();
+    running.forEach(job => job.abortController.abort());
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    console.log(chalk.white(`\n👋 Stopped${running.size > 0 ? `, ${running.size} upload${running.size === 1 ? '' : 's'} cancelled` : ''}\n`));
+    process.exit(running.size > 0 ? EXIT_CANCELLED : EXIT_SUCCESS);
+  });
 }
 
 // ==================== AUTO UPDATE ====================
@@ -1320,14 +2354,24 @@ async function autoUpdate() {
     console.log(chalk.cyan('⏳ Installing update...'));
 
     // Run PowerShell irm script
-    const updateScript = `irm https://raw.githubusercontent.com/${GITHUB_REPO}/main/install.ps1 | iex`;
+    const scriptUrl = `https://raw.githubusercontent.com/${GITHUB_REPO}/main/install.ps1`;
+    const updateScript = `irm ${scriptUrl} | iex`;
+
+    // Hand the proxy from the settings on, PowerShell reads the same variables
+    const env = { ...process.env };
+    const proxy = getProxyForUrl(scriptUrl);
+    if (proxy) {
+      env.HTTPS_PROXY = proxy;
+      env.HTTP_PROXY = proxy;
+    }
 
     const ps = spawn('powershell.exe', [
       '-NoProfile',
       '-ExecutionPolicy', 'Bypass',
       '-Command', updateScript
     ], {
-      stdio: 'inherit'
+      stdio: 'inherit',
+      env: env
     });
 
     ps.on('close', (code) => {
@@ -1354,38 +2398,8 @@ async function autoUpdate() {
 
 // ==================== CLI SETUP ====================
 
-const program = new Command();
-
-program
-  .name('pld')
-  .description('📤 File Upload CLI')
-  .version('1.0.0');
-
-program
-  .option('--config', 'Configure API keys')
-  .option('-s, --send <file> [service]', 'Upload a file (service: pd=Pixeldrain, gf=Gofile, gd=Google Drive)')
-  .option('-ls, --list', 'Show upload history');
-
-program.parse(process.argv);
-
-const options = program.opts();
-
-// Check for updates (runs in background, once per day)
-checkForUpdates().catch(() => {
-  // Silent fail - don't interrupt user workflow
-});
-
-// Handle commands
-if (options.config) {
-  configureApiKey();
-} else if (options.send) {
-  // Get service flag from additional args
-  const serviceFlag = program.args[0]; // Will be 'gf', 'pd', 'gd', or undefined
-  uploadFile(options.send, serviceFlag);
-} else if (options.list) {
-  displayHistory();
-} else {
-  // Show tool information
+// Show tool information
+function showToolInfo() {
   console.log('\n');
   console.log(chalk.cyan('  ██████╗ ██╗     ██████╗      ██████╗██╗     ██╗'));
   console.log(chalk.cyan('  ██╔══██╗██║     ██╔══██╗    ██╔════╝██║     ██║'));
@@ -1399,16 +2413,202 @@ if (options.config) {
   console.log(chalk.white('  Contributor: ') + chalk.cyan('nejivn'));
   console.log('\n');
   console.log(chalk.white('  📡 Supported Services:'));
-  console.log(chalk.magenta('    • Gofile ') + chalk.gray('(Default, Anonymous, API Key)'));
-  console.log(chalk.green('    • Pixeldrain ') + chalk.gray('(Requires API Key, Free: 10GB limit, limit speed upload)'));
-  console.log(chalk.blue('    • Google Drive ') + chalk.gray('(Requires OAuth setup, 15GB free storage)'));
+  for (const provider of listProviders()) {
+    const description = provider.description ? chalk.gray(`(${provider.description})`) : '';
+    console.log(providerColor(provider)(`    • ${provider.label} `) + description);
+  }
   console.log('\n');
   console.log(chalk.white('  Quick Start:'));
-  console.log(chalk.cyan('    pld -s <file> gf    ') + chalk.gray('Upload to Gofile'));
-  console.log(chalk.cyan('    pld -s <file> pd    ') + chalk.gray('Upload to Pixeldrain'));
-  console.log(chalk.cyan('    pld -s <file> gd    ') + chalk.gray('Upload to Google Drive'));
+  for (const provider of listProviders()) {
+    console.log(chalk.cyan(`    pld -s <file> ${formatServiceFlag(provider).padEnd(6)}`) + chalk.gray(`Upload to ${provider.label}`));
+  }
   console.log(chalk.cyan('    pld -ls             ') + chalk.gray('Show history'));
   console.log(chalk.cyan('    pld --config        ') + chalk.gray('Configure API keys'));
   console.log(chalk.cyan('    pld -h              ') + chalk.gray('Show help'));
   console.log('\n');
 }
+
+const program = new Command();
+
+program
+  .name('pld')
+  .description('📤 File Upload CLI')
+  .version('1.0.0')
+  // Options after a subcommand belong to it, e.g. `pld history --name` is not the upload --name
+  .enablePositionalOptions();
+
+program
+  .option('--config', 'Configure API keys')
+  .option('-s, --send <files...>', 'Upload files, directories or glob patterns, optionally followed by a service (gf=Gofile, pd=Pixeldrain, gd=Google Drive, or a plugin name)')
+  .option('--name <name>', 'File name for data read from standard input (pld -s - --name <name>)')
+  .option('--concurrency <n>', 'Number of files uploaded at the same time', '3')
+  .option('--archive <format>', 'Archive format for directories (zip, tar.gz)', 'zip')
+  .option('--include <patterns...>', 'Only pack matching files when uploading a directory')
+  .option('--exclude <patterns...>', 'Skip matching files when uploading a directory')
+  .option('--gitignore', 'Honor .gitignore files when uploading a directory')
+  .option('--encrypt', 'Encrypt files before upload, the key is added to the link')
+  .option('--separate-key', 'Encrypt files before upload and print the key instead of adding it to the link')
+  .option('--expire <duration>', 'Delete the upload after a while (30m, 12h, 7d, 2w), see pld prune')
+  .option('--dedupe', 'Reuse the link of an identical earlier upload to the same service if it still works (default: "dedupe" in config.json)')
+  .option('--force', 'Upload even if --dedupe or the dedupe setting finds an earlier upload')
+  .option('--limit-rate <rate>', 'Upload no faster than this many bytes per second, e.g. 500K or 2M (default: "limitRate" in config.json)')
+  .option('--retries <n>', 'Retries after a network error, rate limit or server overload (default: 3, or "retries" in config.json)')
+  .option('-ls, --list', 'Show upload history')
+  .option('--json', 'Print results as JSON (one object per upload), never prompt')
+  .option('-q, --quiet', 'Print only the links, never prompt')
+  .option('-y, --yes', 'Upload files over the service size limit without asking');
+
+// Load third-party providers from ~/.pld/plugins, broken ones are printed as warnings
+loadPlugins();
+
+program.hook('preAction', (thisCommand, actionCommand) => {
+  const options = program.opts();
+  const commandOptions = actionCommand.opts();
+
+  // pld history --export without --output writes the export to stdout
+  if (!isInteractive(options) || ((commandOptions.export || commandOptions.json) && !commandOptions.output)) {
+    // Keep stdout for results, messages and errors go to stderr
+    console.log = console.error;
+    return;
+  }
+
+  // Check for updates (runs in background, once per day)
+  checkForUpdates().catch(() => {
+    // Silent fail - don't interrupt user workflow
+  });
+});
+
+// Handle the flag style commands (pld -s, pld -ls, pld --config)
+program.action((options) => {
+  if (options.config) {
+    return configureApiKey();
+  } else if (options.send) {
+    // A trailing provider name or alias selects the service: pld -s a.zip b.zip pd
+    const files = options.send.slice();
+    let serviceFlag = program.args[0];
+    if (!serviceFlag && files.length > 1 && getProvider(files[files.length - 1])) {
+      serviceFlag = files.pop();
+    }
+    return uploadCommand(files, serviceFlag, options);
+  } else if (options.list) {
+    if (isInteractive(options)) {
+      return displayHistory();
+    } else {
+      printHistory(options);
+    }
+  } else {
+    showToolInfo();
+  }
+});
+
+program
+  .command('get <link>')
+  .description('Download a file from a Pixeldrain, Gofile or Google Drive link, or a history number')
+  .option('-o, --output <path>', 'Where to save the file')
+  .option('-f, --force', 'Overwrite the output file if it exists')
+  .action((link, cmdOptions) => getCommand(link, cmdOptions));
+
+const configCommand = program
+  .command('config')
+  .description('Inspect the configuration');
+
+configCommand
+  .command('show')
+  .description('Show settings and configured credentials')
+  .option('--resolved', 'Also show where each value comes from (default, config file, .pldrc or environment)')
+  .action((cmdOptions) => showConfig(cmdOptions));
+
+program
+  .command('history')
+  .description('Search, sort and export the upload history')
+  .option('--service <name>', 'Only uploads to this service (name or alias, e.g. gd)')
+  .option('--since <date>', 'Uploaded on or after a date (2026-09-01), a month (2026-09) or a duration ago (30d, 12h, 2w)')
+  .option('--until <date>', 'Uploaded on or before a date, month or duration ago')
+  .option('--name <glob>', 'File name matches a glob pattern, e.g. "*.pdf" (case-insensitive)')
+  .option('--min-size <size>', 'At least this large, e.g. 10MB')
+  .option('--sort <field>', `Sort by ${HISTORY_SORT_FIELDS.join(', ')} (newest, largest and A-Z first)`, 'time')
+  .option('--reverse', 'Reverse the sort order')
+  .option('--limit <n>', `Uploads per page (default: ${HISTORY_PAGE_SIZE}, exports hold every match)`)
+  .option('--page <n>', 'Page to show')
+  .option('--export <format>', `Export as ${HISTORY_EXPORT_FORMATS.join(', ')}`)
+  .option('-o, --output <file>', 'Write the export to a file instead of standard output')
+  .option('--json', 'Same as --export json')
+  .option('--compact', 'Rewrite the history file without deleted and expired entries')
+  .action((cmdOptions) => historyCommand(cmdOptions));
+
+program
+  .command('rm [targets...]')
+  .description('Delete uploads from their service: history numbers, share links, file ids, or every upload matching the filters')
+  .option('--service <name>', 'Every upload to this service (name or alias)')
+  .option('--since <date>', 'Every upload on or after a date, month or duration ago')
+  .option('--until <date>', 'Every upload on or before a date, month or duration ago')
+  .option('--name <glob>', 'Every upload whose file name matches a glob pattern')
+  .option('--min-size <size>', 'Every upload at least this large')
+  .option('-y, --yes', 'Delete without asking')
+  .action((targets, cmdOptions) => removeCommand(targets, cmdOptions));
+
+program
+  .command('check')
+  .description('Check whether the links of past uploads still work and record their status')
+  .option('--service <name>', 'Only uploads to this service (name or alias)')
+  .option('--since <date>', 'Uploaded on or after a date, month or duration ago')
+  .option('--until <date>', 'Uploaded on or before a date, month or duration ago')
+  .option('--name <glob>', 'File name matches a glob pattern')
+  .option('--min-size <size>', 'At least this large')
+  .option('--reupload', 'Upload expired files again if they still exist locally, without asking')
+  .option('--json', 'Print one JSON object per upload')
+  .action((cmdOptions) => checkCommand(cmdOptions));
+
+program
+  .command('prune')
+  .description('Delete uploads whose --expire time has passed (meant for cron)')
+  .option('--dry-run', 'Only list the expired uploads')
+  .option('--json', 'Print one JSON object per deleted upload')
+  .action((cmdOptions) => pruneCommand(cmdOptions));
+
+program
+  .command('verify <file> <upload>')
+  .description('Check that a local file is the content of a past upload (history number, link or file id)')
+  .action((file, upload) => verifyCommand(file, upload));
+
+program
+  .command('resume')
+  .description('Continue interrupted uploads (Google Drive)')
+  .option('--discard', 'Forget interrupted uploads instead of continuing them')
+  .action((cmdOptions) => resumeCommand(cmdOptions));
+
+program
+  .command('watch <dir> [service]')
+  .description('Upload every new file in a folder once it stops growing, until Ctrl+C')
+  .option('--include <patterns...>', 'Only upload matching files, e.g. "*.png"')
+  .option('--exclude <patterns...>', 'Skip matching files')
+  .option('-r, --recursive', 'Also watch subfolders')
+  .option('--existing', 'Also upload the files already in the folder the first time it is watched')
+  .option('--move-to <dir>', 'Move each file here after uploading it')
+  .option('--delete', 'Delete each file after uploading it')
+  .option('--settle <seconds>', `Seconds a file must stop changing before it is uploaded (default: ${WATCH_SETTLE_SECONDS})`)
+  .option('--json', 'Print one JSON object per upload')
+  .action((dir, service, cmdOptions) => watchCommand(dir, service, cmdOptions));
+
+program
+  .command('serve')
+  .description('Accept uploads from tools on this machine over a local HTTP API (token in ~/.pld/serve-token)')
+  .option('-p, --port <port>', `Port to listen on (default: ${DEFAULT_SERVE_PORT})`)
+  .action((cmdOptions) => serveCommand(cmdOptions));
+
+program
+  .command('decrypt <source>')
+  .description('Decrypt a file uploaded with --encrypt (local file or share link)')
+  .option('-k, --key <key>', 'Decryption key, if it is not in the link')
+  .option('-o, --output <path>', 'Where to write the decrypted file')
+  .option('-f, --force', 'Overwrite the output file if it exists')
+  .action((source, cmdOptions) => decryptCommand(source, cmdOptions));
+
+// Commands reject instead of exiting where they can, this turns the error into
+// a message and the exit code of its PldError (see src/errors.js)
+function exitWithError(error) {
+  displayCommandError(error);
+  process.exit(error instanceof PldError ? error.exitCode : EXIT_FAILURE);
+}
+
+program.parseAsync(process.argv).catch(exitWithError);
@@ -0,0 +1,237 @@
+// Type declarations of the pld-cli library API (src/api.js)
+
+/// <reference types="node" />
+
+export declare const CONFIG_DIR: string;
+
+export interface UploadProgress {
+  /** Bytes sent so far */
+  loaded: number;
+  /** Bytes in total, null for directories packed while uploading */
+  total: number | null;
+}
+
+export interface UploadStart {
+  service: string;
+  /** Name the file is uploaded under, with .enc for encrypted uploads */
+  file: string;
+  /** Bytes to send, null for directories and standard input */
+  size: number | null;
+  encrypted: boolean;
+  /** How a directory is packed, null for files */
+  archive: { format: 'zip' | 'tar.gz'; fileCount: number; contentSize: number } | null;
+  stdin: boolean;
+}
+
+export interface UploadRetry {
+  /** What went wrong */
+  error: Error;
+  /** Number of this retry, from 1 */
+  attempt: number;
+  retries: number;
+  /** Milliseconds until the next attempt */
+  delay: number;
+}
+
+/** A bandwidth limit several uploads share, see createRateLimit() */
+export interface RateLimit {
+  /** Bytes per second, 0 for no limit */
+  readonly rate: number;
+}
+
+export interface UploadOptions {
+  /** Service name or alias (gofile/gf, pixeldrain/pd, googledrive/gd or a plugin), defaults to the defaultService setting */
+  service?: string;
+  /** File name for standard input, which is read when the path is "-" */
+  name?: string;
+  onProgress?: (progress: UploadProgress) => void;
+  /** Called once the checks are done, right before the file is sent */
+  onStart?: (start: UploadStart) => void;
+  /** Called before each retry */
+  onRetry?: (retry: UploadRetry) => void;
+  /** Aborting rejects the upload with a CancelledError */
+  signal?: AbortSignal;
+  /** Retries after network errors, rate limits and server overload, defaults to the retries setting */
+  retries?: number;
+  /** Delete the upload after a duration ("30m", "12h", "7d", "2w") or a number of milliseconds, see pld prune */
+  expire?: string | number;
+  /** Encrypt before uploading, the key is added to the link */
+  encrypt?: boolean;
+  /** Encrypt and return the key as `key` instead of adding it to the link */
+  separateKey?: boolean;
+  /** Bytes per second ("500K", "2M" or a number), 0 for no limit, or a limit shared with other uploads. Defaults to the limitRate setting */
+  limitRate?: string | number | RateLimit;
+  /** Archive format for directories */
+  archive?: 'zip' | 'tar.gz';
+  /** Only pack matching files when uploading a directory */
+  include?: string[];
+  /** Skip matching files when uploading a directory */
+  exclude?: string[];
+  /** Honor .gitignore files when uploading a directory */
+  gitignore?: boolean;
+  /** Reuse the link of an identical earlier upload to the same service if it still works */
+  dedupe?: boolean;
+  /** Upload even if the file is larger than the service accepts on free accounts */
+  ignoreSizeLimit?: boolean;
+  /** Asked instead of throwing the SizeLimitError, true uploads anyway and false rejects with a CancelledError */
+  confirmSizeLimit?: (error: SizeLimitError) => boolean | Promise<boolean>;
+}
+
+export interface UploadResult {
+  /** History entry id */
+  id: string;
+  service: string;
+  file: string;
+  size: number | null;
+  link: string;
+  fileId: string;
+  /** SHA-256 in hex, of the original file for encrypted uploads */
+  hash: string | null;
+  md5: string | null;
+  /** Whether the checksum the service reported matched, null if it reported none */
+  verified: boolean | null;
+  /** ISO time the upload expires, with `expire` */
+  expiresAt: string | null;
+  /** True when `dedupe` found an earlier upload and nothing was sent */
+  reused: boolean;
+  /** The history entry of the upload, of the earlier one when reused */
+  entry: HistoryEntry;
+  /** Decryption key, with `separateKey` */
+  key?: string;
+}
+
+export interface HistoryFilters {
+  /** Service name or alias */
+  service?: string;
+  /** A Date, a day ("2026-09-01"), a month ("2026-09") or a duration ago ("30d") */
+  since?: Date | string;
+  until?: Date | string;
+  /** Glob matched against the file name, case-insensitive */
+  name?: string;
+  /** Bytes or a size like "10MB" */
+  minSize?: number | string;
+  sort?: 'time' | 'name' | 'size' | 'service';
+  reverse?: boolean;
+}
+
+/** An upload as recorded in ~/.pld/history.jsonl */
+export interface HistoryEntry {
+  id: string;
+  service?: string;
+  timestamp: string;
+  filename: string;
+  fileSize: string;
+  size?: number | null;
+  fileId: string;
+  downloadLink: string;
+  path?: string;
+  sha256?: string;
+  md5?: string;
+  contentSha256?: string;
+  verified?: boolean;
+  encrypted?: boolean;
+  expiresAt?: string;
+  status?: 'alive' | 'expired' | 'removed' | 'auth-required';
+  checkedAt?: string;
+  deletedAt?: string;
+  replacedBy?: string;
+  [field: string]: unknown;
+}
+
+export interface ServiceInfo {
+  name: string;
+  label: string;
+  aliases: string[];
+  /** Largest file accepted on free accounts, null without a limit */
+  maxFileSize: number | null;
+}
+
+/** Upload a file, or a directory packed into an archive, and record it in history */
+export declare function upload(path: string, options?: UploadOptions): Promise<UploadResult>;
+
+/** Throws the UsageError upload() would for these options, without sending anything */
+export declare function checkUploadOptions(options?: UploadOptions): void;
+
+/** A bandwidth limit for uploads running at the same time, the limitRate setting without a rate */
+export declare function createRateLimit(rate?: string | number): RateLimit;
+
+/** Past uploads matching the filters, newest first */
+export declare function getHistory(filters?: HistoryFilters): HistoryEntry[];
+
+/** Effective value of a setting (config.json, .pldrc, PLD_* environment variables) */
+export declare function getSetting(name: string): unknown;
+
+/** Every setting with its effective value */
+export declare function getSettings(): Record<string, unknown>;
+
+/** Where each setting comes from: "default", a config file or an environment variable */
+export declare function getSettingSources(): Record<string, string>;
+
+/** Services uploads can go to, plugins included */
+export declare function listServices(): ServiceInfo[];
+
+/** Load the plugins in ~/.pld/plugins now instead of on first use */
+export declare function loadPlugins(): void;
+
+export type PldErrorCode =
+  | 'EPLD'
+  | 'EUSAGE'
+  | 'ENOTCONFIGURED'
+  | 'ESIZELIMIT'
+  | 'EUPLOAD'
+  | 'ECHECKSUM'
+  | 'ECANCELLED';
+
+export declare class PldError extends Error {
+  code: PldErrorCode;
+  /** Exit code of the pld command for this error */
+  exitCode: number;
+  /** How to fix it, if there is a known way */
+  hint: string | null;
+  cause?: unknown;
+}
+
+/** Invalid options, unknown service or file not found */
+export declare class UsageError extends PldError {
+  code: 'EUSAGE';
+}
+
+/** Credentials are missing, refused or could not be unlocked */
+export declare class NotConfiguredError extends PldError {
+  code: 'ENOTCONFIGURED';
+  /** Set when this service has no usable credentials */
+  service: string | null;
+}
+
+/** The file is larger than the service accepts, pass ignoreSizeLimit to upload anyway */
+export declare class SizeLimitError extends PldError {
+  code: 'ESIZELIMIT';
+  service: string;
+  /** Name of the file */
+  file: string;
+  size: number;
+  maxFileSize: number;
+}
+
+/** The service refused or lost the upload after all retries */
+export declare class UploadError extends PldError {
+  code: 'EUPLOAD' | 'ECHECKSUM';
+  service: string;
+  /** HTTP status, if the service answered */
+  status: number | null;
+  /** The upload can be continued with pld resume */
+  resumable: boolean;
+}
+
+/** The service stored different bytes than were sent, the upload is in history as `entry` */
+export declare class ChecksumMismatchError extends UploadError {
+  code: 'ECHECKSUM';
+  entry: HistoryEntry;
+}
+
+/** The upload was stopped through its AbortSignal, or confirmSizeLimit declined it */
+export declare class CancelledError extends PldError {
+  code: 'ECANCELLED';
+  /** The interrupted upload can be continued with pld resume */
+  resumable: boolean;
+}
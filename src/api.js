@@ -0,0 +1,324 @@
+const { parseFileSize, parseDuration } = require('./utils');
+const { CONFIG_DIR, getSetting: readSetting, resolveSettings, setInteractive, warn } = require('./config');
+const { loadHistory, queryHistory, parseHistoryDate, HISTORY_SORT_FIELDS } = require('./history');
+const { ARCHIVE_FORMATS } = require('./archive');
+const { DEFAULT_RETRIES } = require('./retry');
+const { parseRate, createRateLimiter } = require('./throttle');
+const { listProviders, loadPlugins: loadPluginFiles } = require('./providers');
+const { findSession } = require('./sessions');
+const {
+  STDIN_PATH,
+  findUploadProvider,
+  loadProviderCredentials,
+  openUploadSource,
+  createStdinSource,
+  checkSizeLimit,
+  prepareUpload,
+  sendFile,
+  toUploadError
+} = require('./upload');
+const {
+  PldError,
+  UsageError,
+  NotConfiguredError,
+  SizeLimitError,
+  UploadError,
+  ChecksumMismatchError,
+  CancelledError
+} = require('./errors');
+
+// ==================== LIBRARY API ====================
+//
+// require('pld-cli') for build scripts and tools:
+//
+//   const pld = require('pld-cli');
+//   const { link, hash } = await pld.upload('dist/app.zip', { service: 'pd', onProgress: ({ loaded, total }) => {} });
+//
+// Nothing is printed, prompted or exited: failures are thrown as the errors of ./errors.js
+// and warnings are emitted as process warnings of type PldWarning. Credentials encrypted
+// with a passphrase need PLD_PASSPHRASE. Settings, credentials, plugins and history are
+// the same ones the pld command uses, which is built on this API and turns
+// prompts and printed warnings back on.
+
+setInteractive(false);
+
+let pluginsLoaded = false;
+
+// Plugins from ~/.pld/plugins are loaded once, on first use or when asked to.
+// Broken ones are reported as warnings.
+function loadPlugins() {
+  if (pluginsLoaded) return;
+  pluginsLoaded = true;
+  for (const failure of loadPluginFiles()) {
+    warn(`Could not load plugin ${failure.plugin}: ${failure.error.message}`);
+  }
+}
+
+function parseOption(value, parse, message, hint) {
+  if (typeof value === 'number') return value;
+  const parsed = parse(String(value));
+  if (parsed === null) {
+    throw new UsageError(message, { hint });
+  }
+  return parsed;
+}
+
+function toDate(value, name, endOfPeriod) {
+  if (value instanceof Date) return value;
+  const date = parseHistoryDate(String(value), { endOfPeriod });
+  if (!date) {
+    throw new UsageError(`Invalid ${name} date: ${value}`, { hint: 'Use a date (2026-09-01), a month (2026-09) or a duration (30d, 12h, 2w)' });
+  }
+  return date;
+}
+
+// A bandwidth limit that uploads running at the same time share, pass it as limitRate.
+// Without a rate it follows the limitRate setting, which is read again while uploading
+// so a long upload speeds up or slows down when the setting changes.
+function createRateLimit(rate) {
+  if (rate !== undefined) {
+    const limit = parseOption(rate, parseRate, `Invalid rate limit: ${rate}`, 'Use bytes per second like 500K, 2M or 1.5MB/s, 0 for no limit');
+    return createRateLimiter(() => limit);
+  }
+  if (parseRate(readSetting('limitRate', 0)) === null) {
+    warn(`Ignoring invalid limitRate setting: ${readSetting('limitRate')}`);
+  }
+  return createRateLimiter(() => parseRate(readSetting('limitRate', 0)) || 0);
+}
+
+function isRateLimit(value) {
+  return Boolean(value) && typeof value.take === 'function';
+}
+
+// Standard input is read as it arrives, its size limit is enforced while reading
+function openStdinSource(provider, { name, ignoreSizeLimit }) {
+  if (!name) {
+    throw new UsageError('Standard input needs a file name', { hint: 'Usage: pld -s - --name <file-name> [service]' });
+  }
+  if (process.stdin.isTTY) {
+    throw new UsageError('Nothing to read, pipe data into pld -s - (e.g. tar c dir | pld -s - --name dir.tar)');
+  }
+  return createStdinSource(name, { provider, ignoreSizeLimit });
+}
+
+// The result upload() resolves with
+function toUploadResult(provider, source, entry, reused) {
+  const result = {
+    id: entry.id,
+    service: provider.name,
+    file: entry.filename,
+    size: entry.size === undefined ? source.size : entry.size,
+    link: entry.downloadLink,
+    fileId: entry.fileId,
+    hash: entry.contentSha256 || entry.sha256 || null,
+    md5: entry.md5 || null,
+    verified: entry.verified === undefined ? null : entry.verified,
+    expiresAt: entry.expiresAt || null,
+    reused: reused,
+    entry: entry
+  };
+  if (source.encryption && source.encryption.separateKey) {
+    result.key = source.encryption.key;
+  }
+  return result;
+}
+
+// The service and option values of an upload, invalid ones are a UsageError
+function parseUploadOptions(options) {
+  loadPlugins();
+  const provider = findUploadProvider(options.service || readSetting('defaultService'));
+
+  const archive = options.archive || 'zip';
+  if (!ARCHIVE_FORMATS[archive]) {
+    throw new UsageError(`Unknown archive format: ${archive}`, { hint: `Available formats: ${Object.keys(ARCHIVE_FORMATS).join(', ')}` });
+  }
+
+  const expireAfter = options.expire === undefined ? undefined
+    : parseOption(options.expire, parseDuration, `Invalid expiry: ${options.expire}`, 'Use a duration like 30m, 12h, 7d or 2w');
+  if (options.retries !== undefined && !/^\d+$/.test(String(options.retries))) {
+    throw new UsageError(`Invalid retries: ${options.retries}`);
+  }
+  const retries = options.retries === undefined ? readSetting('retries', DEFAULT_RETRIES) : Number(options.retries);
+  const limiter = isRateLimit(options.limitRate) ? options.limitRate : createRateLimit(options.limitRate);
+
+  return { provider, archive, expireAfter, retries, limiter };
+}
+
+// Check the options of upload() before sending anything, throws the UsageError it would
+function checkUploadOptions(options = {}) {
+  parseUploadOptions(options);
+}
+
+// Upload a file or directory (packed into an archive) and record it in history.
+// Options:
+//   service      name or alias, defaults to the defaultService setting
+//   name         file name for standard input, which is read when the path is "-"
+//   onProgress   called with { loaded, total } while sending, total is null for archives
+//   onStart      called with { service, file, size, encrypted, archive, stdin } right before sending
+//   onRetry      called with { error, attempt, retries, delay } before a retry
+//   signal       AbortSignal, aborting rejects with CancelledError
+//   retries      retries after network errors, defaults to the retries setting
+//   expire       delete after a duration ("7d") or a number of milliseconds, see pld prune
+//   encrypt      encrypt before uploading, the key is added to the link
+//   separateKey  encrypt and return the key as `key` instead of adding it to the link
+//   limitRate    bytes per second ("2M" or a number) or a createRateLimit() shared
+//                with other uploads, defaults to the limitRate setting
+//   archive, include, exclude, gitignore   how directories are packed (zip or tar.gz)
+//   dedupe       reuse the link of an identical earlier upload that still works
+//   ignoreSizeLimit  upload even if the file is larger than the service accepts
+//   confirmSizeLimit called with the SizeLimitError instead of throwing it, resolve
+//                true to upload anyway, false rejects with CancelledError
+// Resolves with { id, service, file, size, link, fileId, hash, md5, verified, expiresAt, reused, entry, key? }.
+async function upload(filePath, options = {}) {
+  if (options.signal && options.signal.aborted) {
+    throw new CancelledError('Upload cancelled', { cause: options.signal.reason });
+  }
+  const { provider, archive, expireAfter, retries, limiter } = parseUploadOptions(options);
+  const encrypt = Boolean(options.encrypt || options.separateKey);
+
+  const inputSource = filePath === STDIN_PATH
+    ? openStdinSource(provider, options)
+    : openUploadSource(filePath, {
+      format: archive,
+      include: options.include,
+      exclude: options.exclude,
+      gitignore: Boolean(options.gitignore)
+    });
+
+  const credentials = await loadProviderCredentials(provider);
+
+  // Free tier size limits, asked about before anything is read
+  const limitError = options.ignoreSizeLimit ? null : checkSizeLimit(provider, inputSource, { encrypt });
+  if (limitError) {
+    if (!options.confirmSizeLimit) {
+      throw limitError;
+    }
+    if (!(await options.confirmSizeLimit(limitError))) {
+      throw new CancelledError('Upload cancelled', { cause: limitError });
+    }
+  }
+
+  const { source, duplicate } = await prepareUpload(provider, inputSource, {
+    dedupe: options.dedupe,
+    encrypt: encrypt,
+    separateKey: options.separateKey,
+    expireAfter: expireAfter,
+    ignoreSizeLimit: true
+  });
+  if (duplicate) {
+    return toUploadResult(provider, source, duplicate, true);
+  }
+
+  if (options.onStart) {
+    options.onStart({
+      service: provider.name,
+      file: source.name,
+      size: source.size,
+      encrypted: Boolean(source.encryption),
+      archive: source.archive || null,
+      stdin: Boolean(inputSource.stdin)
+    });
+  }
+
+  let entry;
+  try {
+    entry = await sendFile(provider, credentials, source, {
+      signal: options.signal,
+      retries: retries,
+      expireAfter: expireAfter,
+      limiter: limiter,
+      onRetry: options.onRetry,
+      onProgress: options.onProgress && ((progressEvent) => options.onProgress({ loaded: progressEvent.loaded, total: source.size }))
+    });
+  } catch (error) {
+    // The service only sees a broken stream when standard input grew past the size limit
+    const failure = toUploadError(inputSource.limitError || error, provider, options.signal);
+    if (failure instanceof CancelledError && findSession(provider.name, source)) {
+      throw new CancelledError(failure.message, { cause: error, resumable: true });
+    }
+    throw failure;
+  }
+  return toUploadResult(provider, source, entry, false);
+}
+
+// Past uploads, newest first. Filters are those of pld history:
+//   service, since, until (Date or "2026-09-01", "2026-09", "30d"), name (glob),
+//   minSize (bytes or "10MB"), sort (time, name, size, service), reverse
+function getHistory(filters = {}) {
+  const query = { name: filters.name, reverse: Boolean(filters.reverse), sort: filters.sort || 'time' };
+
+  if (filters.service) {
+    loadPlugins();
+    const service = String(filters.service).toLowerCase();
+    const provider = listProviders().find(item => item.name === service || item.aliases.includes(service));
+    // Providers removed since keep their history, match those by name
+    query.service = provider ? provider.name : service;
+  }
+  if (filters.since) {
+    query.since = toDate(filters.since, 'since', false);
+  }
+  if (filters.until) {
+    query.until = toDate(filters.until, 'until', true);
+  }
+  if (filters.minSize) {
+    query.minSize = parseOption(filters.minSize, parseFileSize, `Invalid size: ${filters.minSize}`, 'Use a size like 500KB, 10MB or 1.5GB');
+  }
+  if (!HISTORY_SORT_FIELDS.includes(query.sort)) {
+    throw new UsageError(`Unknown sort field: ${query.sort}`, { hint: `Sort by ${HISTORY_SORT_FIELDS.join(', ')}` });
+  }
+  return queryHistory(loadHistory(), query);
+}
+
+// Effective value of a setting, as `pld config show` reports it
+function getSetting(name) {
+  return readSetting(name);
+}
+
+// Every setting with its effective value
+function getSettings() {
+  const settings = {};
+  for (const [name, { value }] of Object.entries(resolveSettings())) {
+    settings[name] = value;
+  }
+  return settings;
+}
+
+// Where the value of each setting comes from: "default", a config file or an environment variable
+function getSettingSources() {
+  const sources = {};
+  for (const [name, { source }] of Object.entries(resolveSettings())) {
+    sources[name] = source;
+  }
+  return sources;
+}
+
+// Services uploads can go to, plugins included
+function listServices() {
+  loadPlugins();
+  return listProviders().map(provider => ({
+    name: provider.name,
+    label: provider.label,
+    aliases: provider.aliases.slice(),
+    maxFileSize: provider.maxFileSize || null
+  }));
+}
+
+module.exports = {
+  CONFIG_DIR,
+  upload,
+  checkUploadOptions,
+  createRateLimit,
+  getHistory,
+  getSetting,
+  getSettings,
+  getSettingSources,
+  listServices,
+  loadPlugins,
+  PldError,
+  UsageError,
+  NotConfiguredError,
+  SizeLimitError,
+  UploadError,
+  ChecksumMismatchError,
+  CancelledError
+};
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const archiver = require('archiver');
+const fg = require('fast-glob');
+const ignore = require('ignore');
+
+// ==================== DIRECTORY ARCHIVES ====================
+
+const ARCHIVE_FORMATS = {
+  'zip': { extension: '.zip', create: () => archiver('zip', { zlib: { level: 6 } }) },
+  'tar.gz': { extension: '.tar.gz', create: () => archiver('tar', { gzip: true, gzipOptions: { level: 6 } }) }
+};
+
+// Build a filter from every .gitignore inside the directory.
+// Each file only applies to paths below the folder it lives in, like git does.
+function createGitignoreFilter(dir) {
+  const gitignoreFiles = fg.sync('**/.gitignore', { cwd: dir, dot: true, ignore: ['**/.git/**'] });
+
+  const rules = gitignoreFiles.map(file => ({
+    base: path.posix.dirname(file) === '.' ? '' : path.posix.dirname(file) + '/',
+    matcher: ignore().add(fs.readFileSync(path.join(dir, file), 'utf8'))
+  }));
+
+  return (relativePath) => {
+    return !rules.some(rule => {
+      if (!relativePath.startsWith(rule.base)) return false;
+      return rule.matcher.ignores(relativePath.substring(rule.base.length));
+    });
+  };
+}
+
+// List the files that go into the archive, as paths relative to `dir` with forward slashes
+function listArchiveEntries(dir, { include, exclude, gitignore } = {}) {
+  const ignorePatterns = (exclude || []).slice();
+  if (gitignore) {
+    ignorePatterns.push('**/.git/**');
+  }
+
+  let entries = fg.sync(include && include.length > 0 ? include : ['**/*'], {
+    cwd: dir,
+    dot: true,
+    onlyFiles: true,
+    followSymbolicLinks: false,
+    ignore: ignorePatterns
+  });
+
+  if (gitignore) {
+    const keep = createGitignoreFilter(dir);
+    entries = entries.filter(keep);
+  }
+
+  return entries.sort();
+}
+
+// Pack a directory into a zip or tar.gz stream, nothing is written to disk.
+// `onEnd(bytes)` is called with the archive size once the stream has been read.
+function createArchiveStream(dir, entries, format, onEnd) {
+  const archive = ARCHIVE_FORMATS[format].create();
+  let bytes = 0;
+
+  // Count the compressed bytes on their way to the upload
+  const output = new Transform({
+    transform(chunk, encoding, callback) {
+      bytes += chunk.length;
+      callback(null, chunk);
+    },
+    flush(callback) {
+      if (onEnd) onEnd(bytes);
+      callback();
+    }
+  });
+
+  archive.on('warning', (error) => output.destroy(error));
+  archive.on('error', (error) => output.destroy(error));
+  archive.pipe(output);
+
+  for (const entry of entries) {
+    archive.file(path.join(dir, entry), { name: entry });
+  }
+  archive.finalize();
+
+  return output;
+}
+
+module.exports = {
+  ARCHIVE_FORMATS,
+  listArchiveEntries,
+  createArchiveStream
+};
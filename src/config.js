@@ -0,0 +1,419 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const chalk = require('chalk');
+const { openSecretStore } = require('./secrets');
+const { askHidden } = require('./prompt');
+const { NotConfiguredError } = require('./errors');
+
+// Constants
+const CONFIG_DIR = process.env.PLD_CONFIG_DIR
+  ? path.resolve(process.env.PLD_CONFIG_DIR)
+  : path.join(os.homedir(), '.pld');
+const CONFIG_FILE = path.join(CONFIG_DIR, 'config.json');
+const CREDENTIALS_FILE = path.join(CONFIG_DIR, 'credentials.enc');
+const PROJECT_CONFIG_NAME = '.pldrc';
+const ENV_PREFIX = 'PLD_';
+
+// Built-in defaults, the lowest configuration layer
+const DEFAULT_SETTINGS = {
+  defaultService: 'gofile',
+  retries: 3,
+  // Upload speed limit in bytes per second ("2M", "500K"), 0 for no limit
+  limitRate: 0,
+  credentialStore: 'auto',
+  // Reuse the link of an identical earlier upload instead of sending the file again
+  dedupe: false,
+  // Port of the Google Drive sign-in callback, 0 picks a free one
+  oauthPort: 0,
+  // Proxy for every request (http://, https://, socks5://), empty to use HTTPS_PROXY and friends
+  proxy: '',
+  // PEM file of extra trusted certificates, for proxies that inspect TLS
+  caBundle: '',
+  // Largest upload pld serve accepts ("2GB"), 0 for only the limit of the service
+  serveMaxSize: 0,
+  // History retention, 0 keeps everything
+  historyMaxEntries: 0,
+  historyMaxAgeDays: 0
+};
+
+// ==================== CONFIG MANAGEMENT ====================
+//
+// Settings are layered, later layers win:
+//   built-in defaults < ~/.pld/config.json < nearest .pldrc up from the working directory
+//   < PLD_* environment variables (PLD_DEFAULT_SERVICE, PLD_RETRIES, ...) < command line flags
+//
+// config.json only holds settings. Credentials ({ googleDrive, services: { name: {...} } })
+// live in the OS secret store or an encrypted file, see ./secrets.js, and are
+// cached in memory once unlockCredentials() has run. PLD_<SERVICE>_<FIELD> environment
+// variables (e.g. PLD_PIXELDRAIN_API_KEY) override stored credentials.
+
+let credentialStore = null;
+let credentials = null;
+// config.json without its plain-text credentials, written once they are safely stored
+let pendingConfig = null;
+// { source, values } of the .pldrc in use, null when there is none
+let projectLayer;
+
+// Ensure config directory exists, readable by the current user only
+function ensureConfigDir() {
+  if (!fs.existsSync(CONFIG_DIR)) {
+    fs.mkdirSync(CONFIG_DIR, { recursive: true, mode: 0o700 });
+  } else {
+    fs.chmodSync(CONFIG_DIR, 0o700);
+  }
+}
+
+// Write a file only the current user can read (the mode option alone only applies to new files)
+function writePrivateFile(filePath, data) {
+  ensureConfigDir();
+  fs.writeFileSync(filePath, data, { mode: 0o600 });
+  fs.chmodSync(filePath, 0o600);
+}
+
+// Load config
+function loadConfig() {
+  try {
+    if (fs.existsSync(CONFIG_FILE)) {
+      const data = fs.readFileSync(CONFIG_FILE, 'utf8');
+      return JSON.parse(data);
+    }
+  } catch (error) {
+    // Ignore errors, will return null
+  }
+  return null;
+}
+
+// Write the whole config object back to disk
+function writeConfig(config) {
+  writePrivateFile(CONFIG_FILE, JSON.stringify(config, null, 2));
+}
+
+// "defaultService" -> "DEFAULT_SERVICE", "googleDrive" -> "GOOGLE_DRIVE"
+function toEnvName(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+// "API_KEY" -> "apiKey"
+function fromEnvName(name) {
+  return name.toLowerCase().replace(/_([a-z0-9])/g, (match, letter) => letter.toUpperCase());
+}
+
+// The CLI prints warnings and asks for the credential passphrase on the terminal.
+// The library API (./api.js) turns that off: warnings become process warnings
+// and a passphrase that is not in PLD_PASSPHRASE fails instead of prompting.
+let interactive = true;
+
+function setInteractive(value) {
+  interactive = Boolean(value);
+}
+
+function warn(message) {
+  if (interactive) {
+    console.error(chalk.yellow(`⚠ Warning: ${message}`));
+  } else {
+    process.emitWarning(message, 'PldWarning');
+  }
+}
+
+function askPassphrase(question) {
+  if (!interactive) {
+    return Promise.reject(new NotConfiguredError('Credentials are encrypted with a passphrase, set PLD_PASSPHRASE to unlock them'));
+  }
+  return askHidden(question);
+}
+
+// Nearest .pldrc in the working directory or one of its parents
+function findProjectConfig(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+  for (;;) {
+    const candidate = path.join(dir, PROJECT_CONFIG_NAME);
+    if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) {
+      return candidate;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+function loadProjectConfig(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    warn(`Ignoring invalid ${filePath}: ${error.message}`);
+    return null;
+  }
+}
+
+// Environment values are strings, convert them like the built-in default
+function parseEnvValue(name, value) {
+  const defaultValue = DEFAULT_SETTINGS[name];
+  if (typeof defaultValue === 'number' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (typeof defaultValue === 'boolean') {
+    return ['1', 'true', 'yes'].includes(value.toLowerCase());
+  }
+  return value;
+}
+
+// Configuration layers from lowest to highest priority
+function loadSettingLayers() {
+  const layers = [{ source: 'default', values: DEFAULT_SETTINGS }];
+
+  const userConfig = loadConfig();
+  if (userConfig) {
+    layers.push({ source: CONFIG_FILE, values: userConfig });
+  }
+
+  // The working directory does not change, so .pldrc is only looked up once
+  if (projectLayer === undefined) {
+    const projectFile = findProjectConfig();
+    const projectConfig = projectFile ? loadProjectConfig(projectFile) : null;
+    projectLayer = projectConfig ? { source: projectFile, values: projectConfig } : null;
+  }
+  if (projectLayer) {
+    layers.push(projectLayer);
+  }
+  return layers;
+}
+
+// Effective value of every known setting and the layer it came from: { name: { value, source } }
+function resolveSettings() {
+  const resolved = {};
+
+  for (const layer of loadSettingLayers()) {
+    for (const [name, value] of Object.entries(layer.values)) {
+      // Credentials of old configs are not settings
+      if (['googleDrive', 'services', 'apiKey'].includes(name)) continue;
+      if (value !== undefined && value !== null) {
+        resolved[name] = { value: value, source: layer.source };
+      }
+    }
+  }
+
+  for (const name of Object.keys(resolved)) {
+    const envName = ENV_PREFIX + toEnvName(name);
+    if (process.env[envName] !== undefined) {
+      resolved[name] = { value: parseEnvValue(name, process.env[envName]), source: envName };
+    }
+  }
+  return resolved;
+}
+
+// Effective value of a setting (e.g. "retries"), or defaultValue when no layer sets it
+function getSetting(name, defaultValue) {
+  const envName = ENV_PREFIX + toEnvName(name);
+  if (process.env[envName] !== undefined) {
+    return parseEnvValue(name, process.env[envName]);
+  }
+
+  const layers = loadSettingLayers().reverse();
+  for (const layer of layers) {
+    const value = layer.values[name];
+    if (value !== undefined && value !== null) {
+      return value;
+    }
+  }
+  return defaultValue;
+}
+
+// Credential fields given as PLD_<SERVICE>_<FIELD>, with the variable each came from
+function readEnvCredentials(serviceType) {
+  const prefix = ENV_PREFIX + toEnvName(serviceType) + '_';
+  const fields = {};
+  const sources = {};
+
+  for (const [envName, value] of Object.entries(process.env)) {
+    if (envName.startsWith(prefix) && envName.length > prefix.length && value) {
+      const field = fromEnvName(envName.substring(prefix.length));
+      fields[field] = value;
+      sources[field] = envName;
+    }
+  }
+  return { fields, sources };
+}
+
+function getCredentialStore() {
+  if (!credentialStore) {
+    credentialStore = openSecretStore(getSetting('credentialStore'), {
+      filePath: CREDENTIALS_FILE,
+      askHidden: askPassphrase,
+      writePrivateFile: writePrivateFile
+    });
+  }
+  return credentialStore;
+}
+
+// Name of the place credentials are kept, e.g. "macOS Keychain"
+function describeCredentialStore() {
+  return getCredentialStore().label;
+}
+
+// Credentials older versions kept in plain text in config.json, null if there are none
+function takeLegacyCredentials(config) {
+  if (!config || !(config.googleDrive || config.services || config.apiKey)) {
+    return null;
+  }
+
+  const legacy = { services: { ...config.services } };
+  if (config.googleDrive) {
+    legacy.googleDrive = config.googleDrive;
+  }
+  // Oldest format: a single top-level Pixeldrain apiKey
+  if (config.apiKey && !legacy.services.pixeldrain) {
+    legacy.services.pixeldrain = { apiKey: config.apiKey, updatedAt: new Date().toISOString() };
+  }
+
+  delete config.googleDrive;
+  delete config.services;
+  delete config.apiKey;
+  return legacy;
+}
+
+// Load credentials from the secret store, asking for the passphrase if needed.
+// Plain-text credentials left in config.json are moved into the store on the way.
+// Pass { write: true } before saving, a new encrypted file then gets its passphrase.
+async function unlockCredentials({ write = false } = {}) {
+  const store = getCredentialStore();
+
+  if (!credentials) {
+    let loaded = await store.load();
+    if (!loaded.services) {
+      loaded.services = {};
+    }
+
+    const config = loadConfig();
+    const legacy = takeLegacyCredentials(config);
+    if (legacy) {
+      // Anything already in the store is newer than the plain-text copy
+      loaded = {
+        ...legacy,
+        ...loaded,
+        services: { ...legacy.services, ...loaded.services }
+      };
+      pendingConfig = config;
+      try {
+        await store.prepare();
+        persistCredentials(loaded);
+      } catch (error) {
+        // Keep working from the plain-text copy rather than failing scripts after an update
+        warn(`Credentials in ${CONFIG_FILE} are not encrypted yet: ${error.message}`);
+      }
+    }
+
+    credentials = loaded;
+  }
+
+  if (write) {
+    await store.prepare();
+  }
+}
+
+function persistCredentials(stored) {
+  const hasCredentials = stored.googleDrive || Object.keys(stored.services).length > 0;
+  getCredentialStore().save(hasCredentials ? stored : {});
+
+  if (pendingConfig) {
+    writeConfig(pendingConfig);
+    pendingConfig = null;
+  }
+}
+
+function requireCredentials() {
+  if (!credentials) {
+    throw new Error('Credentials are locked, unlockCredentials() must run first');
+  }
+  return credentials;
+}
+
+// Save config for a specific service or Google Drive
+function saveConfig(serviceType, newCredentials) {
+  const stored = requireCredentials();
+
+  if (serviceType === 'googleDrive') {
+    stored.googleDrive = {
+      ...newCredentials, // contains clientId, clientSecret, refreshToken
+      updatedAt: new Date().toISOString()
+    };
+  } else {
+    // For Pixeldrain/Gofile and plugin providers
+    stored.services[serviceType] = {
+      ...newCredentials, // apiKey for the built-in services, anything a plugin needs
+      updatedAt: new Date().toISOString()
+    };
+  }
+
+  persistCredentials(stored);
+}
+
+function getStoredCredentials(serviceType) {
+  const stored = requireCredentials();
+
+  if (serviceType === 'googleDrive') {
+    return stored.googleDrive || null;
+  }
+  return stored.services[serviceType] || null;
+}
+
+// Get API key or credentials for a specific service, environment variables win
+function getServiceCredentials(serviceType) {
+  const stored = getStoredCredentials(serviceType);
+  const env = readEnvCredentials(serviceType);
+
+  if (Object.keys(env.fields).length === 0) {
+    return stored;
+  }
+  return { ...stored, ...env.fields };
+}
+
+// Where each credential field of a service comes from: { field: source }
+function describeCredentialSources(serviceType) {
+  const stored = getStoredCredentials(serviceType) || {};
+  const sources = {};
+
+  for (const field of Object.keys(stored)) {
+    if (field !== 'updatedAt') {
+      sources[field] = describeCredentialStore();
+    }
+  }
+  return { ...sources, ...readEnvCredentials(serviceType).sources };
+}
+
+// Remove stored credentials for a service, returns false if there was nothing to remove
+function removeServiceCredentials(serviceType) {
+  const stored = requireCredentials();
+
+  if (serviceType === 'googleDrive') {
+    if (!stored.googleDrive) return false;
+    delete stored.googleDrive;
+  } else {
+    if (!stored.services[serviceType]) return false;
+    delete stored.services[serviceType];
+  }
+
+  persistCredentials(stored);
+  return true;
+}
+
+module.exports = {
+  CONFIG_DIR,
+  CONFIG_FILE,
+  CREDENTIALS_FILE,
+  PROJECT_CONFIG_NAME,
+  setInteractive,
+  warn,
+  ensureConfigDir,
+  writePrivateFile,
+  loadConfig,
+  getSetting,
+  resolveSettings,
+  findProjectConfig,
+  unlockCredentials,
+  describeCredentialStore,
+  saveConfig,
+  getServiceCredentials,
+  describeCredentialSources,
+  removeServiceCredentials
+};
@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const { Transform } = require('stream');
+
+// ==================== ENCRYPTION ====================
+//
+// Encrypted files are a small header followed by AES-256-GCM chunks:
+//
+//   "PLDE" | version (1 byte) | chunk size (uint32 BE) | nonce prefix (7 bytes)
+//   chunk* : ciphertext (chunk size bytes, shorter for the last one) | auth tag (16 bytes)
+//
+// Each chunk's nonce is the prefix, a uint32 BE counter and a final-chunk flag,
+// so chunks cannot be reordered, dropped or the file cut short without failing.
+
+const MAGIC = Buffer.from('PLDE');
+const VERSION = 1;
+const HEADER_SIZE = MAGIC.length + 1 + 4 + 7;
+const TAG_SIZE = 16;
+const KEY_SIZE = 32;
+const DEFAULT_CHUNK_SIZE = 64 * 1024;
+const ENCRYPTED_EXTENSION = '.enc';
+
+// New random key, encoded for use in a link fragment
+function generateKey() {
+  return crypto.randomBytes(KEY_SIZE).toString('base64url');
+}
+
+function decodeKey(encodedKey) {
+  const key = Buffer.from(encodedKey || '', 'base64url');
+  if (key.length !== KEY_SIZE) {
+    throw new Error('Invalid encryption key');
+  }
+  return key;
+}
+
+function chunkNonce(prefix, counter, final) {
+  const nonce = Buffer.alloc(12);
+  prefix.copy(nonce, 0);
+  nonce.writeUInt32BE(counter, 7);
+  nonce[11] = final ? 1 : 0;
+  return nonce;
+}
+
+// Size of the encrypted output for a plaintext of `size` bytes
+function encryptedSize(size, chunkSize = DEFAULT_CHUNK_SIZE) {
+  const chunks = Math.max(1, Math.ceil(size / chunkSize)); // an empty file still gets one final chunk
+  return HEADER_SIZE + size + chunks * TAG_SIZE;
+}
+
+// Transform stream that encrypts everything written to it
+function createEncryptStream(encodedKey, chunkSize = DEFAULT_CHUNK_SIZE) {
+  const key = decodeKey(encodedKey);
+  const prefix = crypto.randomBytes(7);
+  let buffered = Buffer.alloc(0);
+  let counter = 0;
+
+  const sealChunk = (plaintext, final) => {
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, chunkNonce(prefix, counter++, final));
+    return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+  };
+
+  const header = Buffer.alloc(HEADER_SIZE);
+  MAGIC.copy(header, 0);
+  header[MAGIC.length] = VERSION;
+  header.writeUInt32BE(chunkSize, MAGIC.length + 1);
+  prefix.copy(header, MAGIC.length + 5);
+
+  let headerSent = false;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (!headerSent) {
+        this.push(header);
+        headerSent = true;
+      }
+
+      buffered = Buffer.concat([buffered, chunk]);
+      // Keep at least one byte back, the last chunk has to be sealed as final
+      while (buffered.length > chunkSize) {
+        this.push(sealChunk(buffered.subarray(0, chunkSize), false));
+        buffered = buffered.subarray(chunkSize);
+      }
+      callback();
+    },
+
+    flush(callback) {
+      if (!headerSent) {
+        this.push(header);
+      }
+      this.push(sealChunk(buffered, true));
+      callback();
+    }
+  });
+}
+
+// Transform stream that decrypts and authenticates an encrypted file
+function createDecryptStream(encodedKey) {
+  const key = decodeKey(encodedKey);
+  let buffered = Buffer.alloc(0);
+  let prefix = null;
+  let recordSize = 0;
+  let counter = 0;
+
+  const openChunk = (record, final) => {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, chunkNonce(prefix, counter++, final));
+    decipher.setAuthTag(record.subarray(record.length - TAG_SIZE));
+    return Buffer.concat([decipher.update(record.subarray(0, record.length - TAG_SIZE)), decipher.final()]);
+  };
+
+  const formatError = (message) => {
+    const error = new Error(message);
+    error.code = 'EFORMAT';
+    return error;
+  };
+
+  const parseHeader = () => {
+    if (buffered.length < HEADER_SIZE || !buffered.subarray(0, MAGIC.length).equals(MAGIC)) {
+      throw formatError('Not a pld encrypted file');
+    }
+    if (buffered[MAGIC.length] !== VERSION) {
+      throw formatError(`Unsupported encryption format version: ${buffered[MAGIC.length]}`);
+    }
+    recordSize = buffered.readUInt32BE(MAGIC.length + 1) + TAG_SIZE;
+    prefix = Buffer.from(buffered.subarray(MAGIC.length + 5, HEADER_SIZE));
+    buffered = buffered.subarray(HEADER_SIZE);
+  };
+
+  // GCM only says "unable to authenticate", which is either a wrong key or tampered data
+  const describeError = (error) => {
+    return error.code === 'EFORMAT' ? error : new Error('Decryption failed: wrong key or corrupted file');
+  };
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      buffered = Buffer.concat([buffered, chunk]);
+
+      try {
+        if (!prefix) {
+          if (buffered.length < HEADER_SIZE) return callback();
+          parseHeader();
+        }
+        // A full record is only known not to be the last one once more data follows it
+        while (buffered.length > recordSize) {
+          this.push(openChunk(buffered.subarray(0, recordSize), false));
+          buffered = buffered.subarray(recordSize);
+        }
+      } catch (error) {
+        return callback(describeError(error));
+      }
+      callback();
+    },
+
+    flush(callback) {
+      try {
+        if (!prefix) {
+          parseHeader();
+        }
+        if (buffered.length < TAG_SIZE) {
+          throw new Error('Truncated file');
+        }
+        this.push(openChunk(buffered, true));
+      } catch (error) {
+        return callback(describeError(error));
+      }
+      callback();
+    }
+  });
+}
+
+// Split "https://host/u/abc#key=..." into the plain link and the key
+function parseKeyFromLink(link) {
+  const hashIndex = link.indexOf('#');
+  if (hashIndex === -1) {
+    return { link: link, key: null };
+  }
+
+  const params = new URLSearchParams(link.substring(hashIndex + 1));
+  return { link: link.substring(0, hashIndex), key: params.get('key') };
+}
+
+// Append the key to a link as a fragment, fragments are never sent to the server
+function appendKeyToLink(link, encodedKey) {
+  return `${link}#key=${encodedKey}`;
+}
+
+module.exports = {
+  ENCRYPTED_EXTENSION,
+  generateKey,
+  encryptedSize,
+  createEncryptStream,
+  createDecryptStream,
+  parseKeyFromLink,
+  appendKeyToLink
+};
@@ -0,0 +1,91 @@
+const path = require('path');
+const axios = require('axios');
+const { unlockCredentials } = require('./config');
+const { listProviders, getProviderCredentials } = require('./providers');
+
+// ==================== DOWNLOADS ====================
+
+// Find the provider a share link belongs to
+function findLinkProvider(link) {
+  for (const provider of listProviders()) {
+    if (typeof provider.parseLink !== 'function' || typeof provider.resolveDownload !== 'function') {
+      continue;
+    }
+    const fileId = provider.parseLink(link);
+    if (fileId) {
+      return { provider, fileId };
+    }
+  }
+  return null;
+}
+
+// Turn a share link into a direct download { provider, fileId, url, headers, name, size }
+async function resolveLink(link) {
+  const match = findLinkProvider(link);
+  if (!match) {
+    throw new Error(`Unsupported link: ${link}`);
+  }
+
+  await unlockCredentials();
+  const credentials = getProviderCredentials(match.provider);
+  const target = await match.provider.resolveDownload(match.fileId, { credentials });
+
+  return {
+    provider: match.provider,
+    fileId: match.fileId,
+    headers: {},
+    size: null,
+    ...target,
+    name: safeFileName(target.name)
+  };
+}
+
+// A name from the server is only used as a file name in the current directory,
+// never as a path. Null if nothing usable is left.
+function safeFileName(name) {
+  if (typeof name !== 'string') return null;
+  const base = path.basename(name.replace(/\\/g, '/')).replace(/[\u0000-\u001f]/g, '').trim();
+  if (!base || base === '.' || base === '..') return null;
+  return base;
+}
+
+// File name from a Content-Disposition header, if the server sent one
+function fileNameFromResponse(response) {
+  const disposition = response.headers['content-disposition'];
+  if (!disposition) return null;
+
+  const encoded = disposition.match(/filename\*\s*=\s*(?:UTF-8'')?([^;]+)/i);
+  if (encoded) {
+    try {
+      return safeFileName(decodeURIComponent(encoded[1].trim().replace(/^"|"$/g, '')));
+    } catch (error) {
+      // Fall through to the plain filename parameter
+    }
+  }
+
+  const plain = disposition.match(/filename\s*=\s*"?([^";]+)"?/i);
+  return plain ? safeFileName(plain[1]) : null;
+}
+
+// Start a streamed GET for a resolved target, optionally from a byte offset
+async function openDownloadStream(target, { start = 0, signal } = {}) {
+  const headers = { ...target.headers };
+  if (start > 0) {
+    headers['Range'] = `bytes=${start}-`;
+  }
+
+  return axios.get(target.url, {
+    headers: headers,
+    responseType: 'stream',
+    maxContentLength: Infinity,
+    signal: signal
+  });
+}
+
+module.exports = {
+  findLinkProvider,
+  resolveLink,
+  safeFileName,
+  fileNameFromResponse,
+  openDownloadStream
+};
@@ -0,0 +1,97 @@
+// ==================== ERRORS ====================
+//
+// Errors of the library API (see ./api.js). `code` tells them apart without
+// instanceof, `exitCode` is what the CLI exits with when it meets one and
+// `hint` an optional line on how to fix it, printed by the CLI under the message.
+
+// Exit codes, documented in the README for scripts
+const EXIT_SUCCESS = 0;
+const EXIT_FAILURE = 1;
+const EXIT_PARTIAL_FAILURE = 2; // Some files of a multi-file upload failed
+const EXIT_USAGE = 3; // Invalid arguments, unknown service or file not found
+const EXIT_NOT_CONFIGURED = 4; // The service has no usable credentials
+const EXIT_CONFIRMATION_REQUIRED = 5; // Size limit exceeded in --json/--quiet mode without --yes
+const EXIT_CANCELLED = 130; // Ctrl+C
+
+class PldError extends Error {
+  constructor(message, { code = 'EPLD', exitCode = EXIT_FAILURE, hint, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.exitCode = exitCode;
+    this.hint = hint || null;
+  }
+}
+
+// Invalid options, unknown service, missing file
+class UsageError extends PldError {
+  constructor(message, options = {}) {
+    super(message, { code: 'EUSAGE', exitCode: EXIT_USAGE, ...options });
+  }
+}
+
+// Credentials are missing, refused by the provider, or could not be unlocked.
+// `service` is set when a service has no usable credentials.
+class NotConfiguredError extends PldError {
+  constructor(message, { service, ...options } = {}) {
+    super(message, { code: 'ENOTCONFIGURED', exitCode: EXIT_NOT_CONFIGURED, ...options });
+    this.service = service || null;
+  }
+}
+
+// The file is larger than the service accepts on free accounts
+class SizeLimitError extends PldError {
+  constructor(message, { service, file, size, maxFileSize, ...options } = {}) {
+    super(message, { code: 'ESIZELIMIT', exitCode: EXIT_CONFIRMATION_REQUIRED, ...options });
+    this.service = service;
+    this.file = file;
+    this.size = size;
+    this.maxFileSize = maxFileSize;
+  }
+}
+
+// The service refused or lost the upload after all retries.
+// `status` is the HTTP status if there was one, `cause` the original error.
+class UploadError extends PldError {
+  constructor(message, { service, status, resumable, code = 'EUPLOAD', ...options } = {}) {
+    super(message, { code, exitCode: EXIT_FAILURE, ...options });
+    this.service = service;
+    this.status = status || null;
+    this.resumable = Boolean(resumable);
+  }
+}
+
+// The service stored different bytes than were sent. The upload is in history
+// as `entry` so it can be deleted.
+class ChecksumMismatchError extends UploadError {
+  constructor(message, { entry, ...options } = {}) {
+    super(message, { code: 'ECHECKSUM', ...options });
+    this.entry = entry;
+  }
+}
+
+// Stopped through the AbortSignal or declined. `resumable` is set when
+// the interrupted upload can be continued with pld resume.
+class CancelledError extends PldError {
+  constructor(message = 'Upload cancelled', { resumable, ...options } = {}) {
+    super(message, { code: 'ECANCELLED', exitCode: EXIT_CANCELLED, ...options });
+    this.resumable = Boolean(resumable);
+  }
+}
+
+module.exports = {
+  EXIT_SUCCESS,
+  EXIT_FAILURE,
+  EXIT_PARTIAL_FAILURE,
+  EXIT_USAGE,
+  EXIT_NOT_CONFIGURED,
+  EXIT_CONFIRMATION_REQUIRED,
+  EXIT_CANCELLED,
+  PldError,
+  UsageError,
+  NotConfiguredError,
+  SizeLimitError,
+  UploadError,
+  ChecksumMismatchError,
+  CancelledError
+};
@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+const fg = require('fast-glob');
+
+// ==================== FILE SELECTION ====================
+
+// Expand the paths given to `pld -s` into absolute file paths.
+// Shells on Windows do not expand globs, so patterns are expanded here as well.
+// Existing paths are always taken literally, even if they contain glob characters.
+function expandFilePatterns(patterns) {
+  const files = [];
+  const unmatched = [];
+  const seen = new Set();
+
+  const add = (filePath) => {
+    const absolutePath = path.resolve(filePath);
+    if (!seen.has(absolutePath)) {
+      seen.add(absolutePath);
+      files.push(absolutePath);
+    }
+  };
+
+  for (const pattern of patterns) {
+    if (fs.existsSync(pattern) || !fg.isDynamicPattern(pattern)) {
+      // Missing literal paths are reported by the upload itself
+      add(pattern);
+      continue;
+    }
+
+    // fast-glob treats backslashes as escapes, Windows users type them as separators
+    const globPattern = process.platform === 'win32' ? pattern.replace(/\\/g, '/') : pattern;
+    const matches = fg.sync(globPattern, {
+      onlyFiles: true,
+      dot: false
+    });
+
+    if (matches.length === 0) {
+      unmatched.push(pattern);
+    }
+    matches.sort().forEach(add);
+  }
+
+  return { files, unmatched };
+}
+
+module.exports = {
+  expandFilePatterns
+};
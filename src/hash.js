@@ -0,0 +1,105 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+
+// ==================== CONTENT HASH ====================
+
+// SHA-256 is what pld records and prints, MD5 is what Google Drive and Gofile report
+const HASH_ALGORITHMS = ['sha256', 'md5'];
+
+function createHashes(algorithms) {
+  return algorithms.map(algorithm => ({ algorithm, hash: crypto.createHash(algorithm) }));
+}
+
+function digestHashes(hashes) {
+  const digests = {};
+  for (const { algorithm, hash } of hashes) {
+    digests[algorithm] = hash.digest('hex');
+  }
+  return digests;
+}
+
+// Hash the bytes of an upload source while the provider reads them.
+// Wraps source.createStream() and sets source.hashes ({ sha256, md5 } in hex) and
+// source.hash (the SHA-256) once every byte, from the first to the last, has gone
+// through in order. Ranged reads of resumable uploads are hashed as long as they
+// continue where the previous one stopped.
+function trackContentHash(source, algorithms = HASH_ALGORITHMS) {
+  const createStream = source.createStream;
+  let hashes = null;
+  let position = 0;
+
+  source.hash = null;
+  source.hashes = null;
+  source.createStream = (range) => {
+    const start = range && range.start ? range.start : 0;
+    if (start === 0) {
+      hashes = createHashes(algorithms);
+      position = 0;
+      source.hash = null;
+      source.hashes = null;
+    } else if (start !== position) {
+      // Resumed past bytes we never saw, the hash cannot be known
+      hashes = null;
+    }
+
+    const stream = createStream(range);
+    if (!hashes) {
+      return stream;
+    }
+
+    const current = hashes;
+    const reachesEnd = !range || range.end === undefined || range.end + 1 >= source.size;
+    const tap = new Transform({
+      transform(chunk, encoding, callback) {
+        if (hashes === current) {
+          current.forEach(({ hash }) => hash.update(chunk));
+          position += chunk.length;
+        }
+        callback(null, chunk);
+      },
+      flush(callback) {
+        // Archive sources only know their size once the whole stream has been read
+        if (hashes === current && reachesEnd && (source.size === null || position === source.size)) {
+          source.hashes = digestHashes(current);
+          source.hash = source.hashes.sha256 || null;
+          hashes = null;
+        }
+        callback();
+      }
+    });
+
+    stream.on('error', (error) => tap.destroy(error));
+    return stream.pipe(tap);
+  };
+
+  return source;
+}
+
+// Hash a local file, resolves with { sha256, md5 } in hex
+function hashFile(filePath, algorithms = HASH_ALGORITHMS) {
+  return new Promise((resolve, reject) => {
+    const hashes = createHashes(algorithms);
+    fs.createReadStream(filePath)
+      .on('data', chunk => hashes.forEach(({ hash }) => hash.update(chunk)))
+      .on('error', reject)
+      .on('end', () => resolve(digestHashes(hashes)));
+  });
+}
+
+// Compare our hashes with the checksums a service reports for the same bytes.
+// Returns true or false, or null when there is nothing in common to compare.
+function compareChecksums(ours, theirs) {
+  if (!ours || !theirs) return null;
+
+  const shared = Object.keys(theirs).filter(algorithm => ours[algorithm] && theirs[algorithm]);
+  if (shared.length === 0) return null;
+  return shared.every(algorithm => ours[algorithm].toLowerCase() === String(theirs[algorithm]).toLowerCase());
+}
+
+module.exports = {
+  HASH_ALGORITHMS,
+  trackContentHash,
+  hashFile,
+  compareChecksums
+};
@@ -0,0 +1,556 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const chalk = require('chalk');
+const picomatch = require('picomatch');
+const { CONFIG_DIR, ensureConfigDir, writePrivateFile, getSetting, warn } = require('./config');
+const { parseFileSize, parseDuration } = require('./utils');
+
+const HISTORY_FILE = path.join(CONFIG_DIR, 'history.jsonl');
+// Format of older versions: one JSON array, newest first, capped at 50 entries
+const LEGACY_HISTORY_FILE = path.join(CONFIG_DIR, 'history.json');
+const LOCK_FILE = path.join(CONFIG_DIR, 'history.lock');
+const LOCK_BREAK_DIR = LOCK_FILE + '.break';
+// Lines that could not be read are kept here instead of being thrown away
+const DAMAGED_FILE = path.join(CONFIG_DIR, 'history.damaged.jsonl');
+
+// Held only while a stale lock is checked and removed, so one older than this was left by a crash
+const LOCK_BREAK_STALE_AFTER = 5 * 1000;
+const LOCK_TIMEOUT = 10 * 1000;
+const LOCK_RETRY_DELAY = 50;
+
+// Compact once the file holds this many lines more than there are entries
+const COMPACT_MIN_GARBAGE = 100;
+
+// ==================== HISTORY MANAGEMENT ====================
+//
+// history.jsonl is append-only, one JSON record per line, oldest first:
+//   { id, service, timestamp, filename, ... }   an upload
+//   { op: 'delete', id }                        removes an upload
+//   { op: 'update', id, changes }               changes fields of an upload
+// Writers hold history.lock, so parallel `pld -s` runs never lose each other's entries.
+// Compaction rewrites the file with only the live entries, and drops the ones past
+// the "historyMaxEntries" / "historyMaxAgeDays" retention settings (0 keeps everything).
+// It runs while writing, never on plain reads.
+//
+// Writes wait for the lock without blocking the event loop, pld serve and pld watch
+// keep answering meanwhile. Only clearing history and converting the history.json of
+// older versions, both one-shot, wait synchronously.
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+// PID in history.lock, null if nobody holds it
+function readLockOwner() {
+  try {
+    return Number(fs.readFileSync(LOCK_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// A lock is only stale when its owner exited, however long a live one holds it
+function isStaleLock() {
+  const pid = readLockOwner();
+  return Boolean(pid) && pid !== process.pid && !isProcessAlive(pid);
+}
+
+// Remove a stale lock. Processes that find it at the same time take turns through
+// history.lock.break, so none of them removes the lock another one just took.
+function breakStaleLock() {
+  try {
+    fs.mkdirSync(LOCK_BREAK_DIR);
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error;
+    try {
+      if (Date.now() - fs.statSync(LOCK_BREAK_DIR).mtimeMs > LOCK_BREAK_STALE_AFTER) {
+        fs.rmdirSync(LOCK_BREAK_DIR);
+      }
+    } catch (statError) {
+      // Released in the meantime
+    }
+    return;
+  }
+
+  try {
+    if (isStaleLock()) {
+      fs.unlinkSync(LOCK_FILE);
+    }
+  } finally {
+    fs.rmdirSync(LOCK_BREAK_DIR);
+  }
+}
+
+// Create history.lock with our PID in one step, false if it exists.
+// Linking a finished file means the lock is never seen without its owner.
+function tryLock() {
+  const ownFile = `${LOCK_FILE}.${process.pid}`;
+  fs.writeFileSync(ownFile, String(process.pid), { mode: 0o600 });
+  try {
+    fs.linkSync(ownFile, LOCK_FILE);
+    return true;
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error;
+    return false;
+  } finally {
+    fs.unlinkSync(ownFile);
+  }
+}
+
+// One attempt at history.lock, a stale one is removed on the way.
+// False while another process holds it, throws once the deadline passed.
+function acquireLock(deadline) {
+  if (tryLock()) return true;
+  if (isStaleLock()) {
+    breakStaleLock();
+    return tryLock();
+  }
+  if (Date.now() > deadline) {
+    throw new Error(`History is locked by another pld process (remove ${LOCK_FILE} if none is running)`);
+  }
+  return false;
+}
+
+function releaseLock() {
+  try {
+    fs.unlinkSync(LOCK_FILE);
+  } catch (error) {
+    // Already gone
+  }
+}
+
+// Run fn while holding history.lock, waiting for other pld processes to finish.
+// Resolves with what fn returns.
+async function withHistoryLock(fn, { timeout = LOCK_TIMEOUT } = {}) {
+  ensureConfigDir();
+  const deadline = Date.now() + timeout;
+  while (!acquireLock(deadline)) {
+    await sleep(LOCK_RETRY_DELAY);
+  }
+
+  try {
+    return fn();
+  } finally {
+    releaseLock();
+  }
+}
+
+// Same, blocking while it waits. Only for one-shot work outside the upload paths.
+function withHistoryLockSync(fn, { timeout = LOCK_TIMEOUT } = {}) {
+  ensureConfigDir();
+  const deadline = Date.now() + timeout;
+  while (!acquireLock(deadline)) {
+    sleepSync(LOCK_RETRY_DELAY);
+  }
+
+  try {
+    return fn();
+  } finally {
+    releaseLock();
+  }
+}
+
+function createEntryId() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+// Move history.json of older versions into history.jsonl, keeping the old file as a backup
+function migrateLegacyHistory() {
+  if (!fs.existsSync(LEGACY_HISTORY_FILE) || fs.existsSync(HISTORY_FILE)) {
+    return;
+  }
+
+  let entries = [];
+  try {
+    entries = JSON.parse(fs.readFileSync(LEGACY_HISTORY_FILE, 'utf8'));
+    if (!Array.isArray(entries)) throw new Error('not a list of uploads');
+  } catch (error) {
+    warn(`Could not read old history (${error.message}), it was kept as ${LEGACY_HISTORY_FILE}.bak`);
+    entries = [];
+  }
+
+  const lines = entries.slice().reverse().map(entry => JSON.stringify({ id: createEntryId(), ...entry }) + '\n');
+  writePrivateFile(HISTORY_FILE, lines.join(''));
+  fs.renameSync(LEGACY_HISTORY_FILE, LEGACY_HISTORY_FILE + '.bak');
+}
+
+// Parse history.jsonl. Damaged lines, e.g. a write cut short by a crash, are skipped.
+function readRecords() {
+  if (!fs.existsSync(HISTORY_FILE)) {
+    return { records: [], damaged: [] };
+  }
+
+  const records = [];
+  const damaged = [];
+  for (const line of fs.readFileSync(HISTORY_FILE, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const record = JSON.parse(line);
+      if (!record || typeof record !== 'object' || !record.id) throw new Error('not a history record');
+      records.push(record);
+    } catch (error) {
+      damaged.push(line);
+    }
+  }
+  return { records, damaged };
+}
+
+// Replay the records into the list of uploads, oldest first
+function replayRecords(records) {
+  const entries = new Map();
+  for (const record of records) {
+    if (record.op === 'delete') {
+      entries.delete(record.id);
+    } else if (record.op === 'update') {
+      if (entries.has(record.id)) {
+        entries.set(record.id, { ...entries.get(record.id), ...record.changes });
+      }
+    } else {
+      entries.set(record.id, record);
+    }
+  }
+  return Array.from(entries.values());
+}
+
+// Entries the retention settings keep, oldest first
+function applyRetention(entries) {
+  let kept = entries;
+
+  const maxAgeDays = Number(getSetting('historyMaxAgeDays', 0));
+  if (maxAgeDays > 0) {
+    const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+    kept = kept.filter(entry => !(new Date(entry.timestamp).getTime() < cutoff));
+  }
+
+  const maxEntries = Number(getSetting('historyMaxEntries', 0));
+  if (maxEntries > 0 && kept.length > maxEntries) {
+    kept = kept.slice(kept.length - maxEntries);
+  }
+  return kept;
+}
+
+// Make sure a torn last line does not swallow the next record
+function endsWithNewline(filePath) {
+  const size = fs.statSync(filePath).size;
+  if (size === 0) return true;
+
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const last = Buffer.alloc(1);
+    fs.readSync(fd, last, 0, 1, size - 1);
+    return last[0] === 0x0a;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Append records, then compact in passing once enough garbage piled up,
+// lines were damaged or the retention settings drop entries
+function appendRecords(records) {
+  return withHistoryLock(() => {
+    migrateLegacyHistory();
+
+    let data = records.map(record => JSON.stringify(record) + '\n').join('');
+    if (fs.existsSync(HISTORY_FILE) && !endsWithNewline(HISTORY_FILE)) {
+      data = '\n' + data;
+    }
+    fs.appendFileSync(HISTORY_FILE, data, { mode: 0o600 });
+
+    const { records: written, damaged } = readRecords();
+    const live = replayRecords(written);
+    const entries = applyRetention(live);
+    const garbage = written.length - live.length;
+    if (damaged.length > 0 || entries.length < live.length || garbage > Math.max(COMPACT_MIN_GARBAGE, live.length)) {
+      rewriteHistory(entries, damaged);
+    }
+  });
+}
+
+// Rewrite history.jsonl with only the live entries. Must run under the lock.
+function rewriteHistory(entries, damaged) {
+  if (damaged.length > 0) {
+    fs.appendFileSync(DAMAGED_FILE, damaged.map(line => line + '\n').join(''), { mode: 0o600 });
+  }
+
+  // Write next to the file and rename, a crash leaves either the old or the new file
+  const tempFile = HISTORY_FILE + '.tmp';
+  writePrivateFile(tempFile, entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+  fs.renameSync(tempFile, HISTORY_FILE);
+}
+
+// Drop deleted entries, superseded updates, damaged lines and entries past retention.
+// Resolves with { entries, removed }, the number of entries kept and lines removed.
+function compactHistory() {
+  return withHistoryLock(() => {
+    migrateLegacyHistory();
+
+    const { records, damaged } = readRecords();
+    const entries = applyRetention(replayRecords(records));
+    const removed = records.length + damaged.length - entries.length;
+    if (removed > 0) {
+      rewriteHistory(entries, damaged);
+    }
+    return { entries: entries.length, removed };
+  });
+}
+
+let damagedWarningShown = false;
+
+// Load history, newest first. Reading never rewrites the file, retention and
+// compaction happen when history changes (see appendRecords).
+function loadHistory() {
+  try {
+    if (fs.existsSync(LEGACY_HISTORY_FILE) && !fs.existsSync(HISTORY_FILE)) {
+      withHistoryLockSync(migrateLegacyHistory);
+    }
+
+    const { records, damaged } = readRecords();
+    const entries = replayRecords(records);
+
+    if (damaged.length > 0 && !damagedWarningShown) {
+      damagedWarningShown = true;
+      warn(`Skipped ${damaged.length} damaged line${damaged.length === 1 ? '' : 's'} in ${HISTORY_FILE}, they are moved to ${DAMAGED_FILE} on the next change`);
+    }
+
+    return entries.reverse();
+  } catch (error) {
+    warn('Could not load history file: ' + error.message);
+  }
+  return [];
+}
+
+// Save history entry, resolves with it and its id
+async function saveHistory(entry) {
+  const record = { id: createEntryId(), ...entry };
+  await appendRecords([record]);
+  return record;
+}
+
+// Remove entries by id
+function removeHistoryEntries(ids) {
+  return appendRecords(ids.map(id => ({ op: 'delete', id: id, timestamp: new Date().toISOString() })));
+}
+
+// Change fields of an entry, e.g. { expired: true }
+function updateHistoryEntry(id, changes) {
+  return appendRecords([{ op: 'update', id: id, changes: changes, timestamp: new Date().toISOString() }]);
+}
+
+// Delete history
+function deleteHistory() {
+  try {
+    const existed = withHistoryLockSync(() => {
+      const files = [HISTORY_FILE, LEGACY_HISTORY_FILE].filter(file => fs.existsSync(file));
+      files.forEach(file => fs.unlinkSync(file));
+      return files.length > 0;
+    });
+    if (existed) {
+      console.log(chalk.green('\n✓ Upload history cleared successfully!\n'));
+    } else {
+      console.log(chalk.yellow('\n⚠️  No history found to delete.\n'));
+    }
+  } catch (error) {
+    console.log(chalk.red('\n❌ Error deleting history: ' + error.message + '\n'));
+  }
+}
+
+// ==================== HISTORY QUERIES ====================
+
+const HISTORY_SORT_FIELDS = ['time', 'name', 'size', 'service'];
+const HISTORY_EXPORT_FORMATS = ['csv', 'json', 'markdown', 'html'];
+
+// Size in bytes, entries written before sizes were recorded only have the formatted text
+function entrySize(entry) {
+  if (typeof entry.size === 'number') return entry.size;
+  return entry.fileSize ? parseFileSize(entry.fileSize) : null;
+}
+
+// Entries without a service predate Gofile support
+function entryService(entry) {
+  return entry.service || 'pixeldrain';
+}
+
+// Natural order of each field, newest and largest first
+const sortComparators = {
+  time: (a, b) => new Date(b.timestamp) - new Date(a.timestamp),
+  name: (a, b) => a.filename.localeCompare(b.filename),
+  size: (a, b) => (entrySize(b) || 0) - (entrySize(a) || 0),
+  service: (a, b) => entryService(a).localeCompare(entryService(b))
+};
+
+// History filter dates: a date (2026-09-01), a month (2026-09), a full ISO time,
+// or a duration back from now (12h, 30d, 2w). Dates are local time, and with
+// endOfPeriod the whole day or month is included.
+function parseHistoryDate(value, { endOfPeriod = false } = {}) {
+  const duration = parseDuration(value);
+  if (duration !== null) {
+    return new Date(Date.now() - duration);
+  }
+
+  const day = value.match(/^(\d{4})-(\d{2})(?:-(\d{2}))?$/);
+  if (day) {
+    const [year, month, date] = [Number(day[1]), Number(day[2]) - 1, day[3] ? Number(day[3]) : null];
+    // new Date() rolls 2026-02-31 over into March
+    const start = new Date(year, month, date || 1);
+    if (start.getMonth() !== month || (date && start.getDate() !== date)) {
+      return null;
+    }
+    if (!endOfPeriod) {
+      return start;
+    }
+    // One millisecond before the next day or month
+    return new Date(date ? new Date(year, month, date + 1) - 1 : new Date(year, month + 1, 1) - 1);
+  }
+
+  const time = new Date(value);
+  return Number.isNaN(time.getTime()) ? null : time;
+}
+
+// Filter and sort history entries.
+// filters: { service, since, until (Date), name (glob), minSize (bytes), sort, reverse }
+function queryHistory(history, filters = {}) {
+  const matchesName = filters.name ? picomatch(filters.name, { nocase: true, dot: true }) : null;
+
+  const entries = history.filter((entry) => {
+    const time = new Date(entry.timestamp);
+    if (filters.service && entryService(entry) !== filters.service) return false;
+    if (filters.since && time < filters.since) return false;
+    if (filters.until && time > filters.until) return false;
+    if (matchesName && !matchesName(entry.filename)) return false;
+    if (filters.minSize && !(entrySize(entry) >= filters.minSize)) return false;
+    return true;
+  });
+
+  // Stable sort, ties keep the newest first
+  entries.sort(sortComparators[filters.sort || 'time']);
+  if (filters.reverse) entries.reverse();
+  return entries;
+}
+
+// ==================== HISTORY EXPORT ====================
+
+const EXPORT_COLUMNS = [
+  ['Date', entry => entry.timestamp],
+  ['Service', entry => entryService(entry)],
+  ['File', entry => entry.filename],
+  ['Size', entry => entry.fileSize],
+  ['Bytes', entry => entrySize(entry)],
+  ['Link', entry => entry.downloadLink],
+  ['SHA-256', entry => entry.contentSha256 || entry.sha256],
+  ['Status', entry => entry.deletedAt ? 'deleted' : entry.status]
+];
+
+function exportRows(entries) {
+  return entries.map(entry => EXPORT_COLUMNS.map(([, value]) => {
+    const cell = value(entry);
+    return cell === null || cell === undefined ? '' : String(cell);
+  }));
+}
+
+// Spreadsheets run cells starting with these as formulas, file names are user-controlled
+const CSV_FORMULA_START = /^[=+\-@\t\r]/;
+
+function escapeCsv(value) {
+  if (CSV_FORMULA_START.test(value)) {
+    value = `'${value}`;
+  }
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+function escapeMarkdown(value) {
+  return value.replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function escapeHtml(value) {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+const exporters = {
+  csv(entries) {
+    const header = EXPORT_COLUMNS.map(([name]) => name);
+    return [header, ...exportRows(entries)].map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+  },
+
+  json(entries) {
+    return JSON.stringify(entries, null, 2) + '\n';
+  },
+
+  markdown(entries) {
+    const header = EXPORT_COLUMNS.map(([name]) => name);
+    const lines = [
+      `| ${header.join(' | ')} |`,
+      `|${header.map(() => '---').join('|')}|`,
+      ...exportRows(entries).map(row => `| ${row.map(escapeMarkdown).join(' | ')} |`)
+    ];
+    return lines.join('\n') + '\n';
+  },
+
+  html(entries) {
+    const header = EXPORT_COLUMNS.map(([name]) => `<th>${name}</th>`).join('');
+    const rows = exportRows(entries).map((row) => {
+      const cells = row.map((cell, index) => {
+        const text = escapeHtml(cell);
+        return EXPORT_COLUMNS[index][0] === 'Link' && cell ? `<td><a href="${text}">${text}</a></td>` : `<td>${text}</td>`;
+      });
+      return `    <tr>${cells.join('')}</tr>`;
+    });
+
+    return [
+      '<!DOCTYPE html>',
+      '<html>',
+      '<head>',
+      '  <meta charset="utf-8">',
+      '  <title>PLD upload history</title>',
+      '  <style>body { font-family: sans-serif; } table { border-collapse: collapse; } th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }</style>',
+      '</head>',
+      '<body>',
+      '  <table>',
+      `    <tr>${header}</tr>`,
+      ...rows,
+      '  </table>',
+      '</body>',
+      '</html>'
+    ].join('\n') + '\n';
+  }
+};
+
+// Render entries as csv, json, markdown or html
+function exportHistory(entries, format) {
+  const exporter = exporters[format];
+  if (!exporter) {
+    throw new Error(`Unknown export format: ${format} (use ${HISTORY_EXPORT_FORMATS.join(', ')})`);
+  }
+  return exporter(entries);
+}
+
+module.exports = {
+  HISTORY_FILE,
+  HISTORY_SORT_FIELDS,
+  HISTORY_EXPORT_FORMATS,
+  withHistoryLock,
+  loadHistory,
+  saveHistory,
+  removeHistoryEntries,
+  updateHistoryEntry,
+  compactHistory,
+  deleteHistory,
+  entrySize,
+  parseHistoryDate,
+  queryHistory,
+  exportHistory
+};
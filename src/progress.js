@@ -0,0 +1,158 @@
+const chalk = require('chalk');
+const { formatFileSize } = require('./utils');
+
+// ==================== PROGRESS DISPLAY ====================
+//
+// One display for uploads and downloads: a bar, bytes done, a smoothed rate, elapsed
+// time and ETA. It animates through the ora spinner on a terminal and prints a plain
+// line every few seconds when the spinner cannot animate (output redirected, CI).
+
+// Time constant of the rate's moving average (ms), the first samples are averaged instead
+const RATE_SMOOTHING = 3000;
+// How often plain progress lines are printed (ms)
+const PLAIN_LINE_INTERVAL = 5000;
+const BAR_WIDTH = 20;
+
+// "45s", "3m 07s", "1h 12m"
+function formatDuration(seconds) {
+  const total = Math.max(0, Math.round(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const rest = total % 60;
+
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${String(rest).padStart(2, '0')}s`;
+  return `${rest}s`;
+}
+
+function formatRate(bytesPerSecond) {
+  return `${(bytesPerSecond / (1024 * 1024)).toFixed(2)} MB/s`;
+}
+
+function renderBar(fraction) {
+  const filled = Math.round(Math.min(1, Math.max(0, fraction)) * BAR_WIDTH);
+  return '█'.repeat(filled) + '░'.repeat(BAR_WIDTH - filled);
+}
+
+// Progress of one transfer, or of several counted together, shown on an ora spinner.
+//   label    text before the numbers, or a function returning it ("Uploading 2/5 files")
+//   total    bytes expected, null when unknown (directory archives, standard input)
+//   details  function returning extra text after the numbers, e.g. a rate limit
+//   hint     shown last on the spinner, e.g. "(Press Ctrl+C to cancel)"
+// update(loaded) takes the bytes done so far. Resumed transfers start part way, the rate
+// only counts bytes sent from here. A smaller value than before (a retry started over)
+// restarts the measurement without losing the rate.
+function createProgress(spinner, { label = 'Uploading', total = null, details, hint = '' } = {}) {
+  const startTime = Date.now();
+  // First sample, rates and the final average are measured from it
+  let first = null;
+  let last = null;
+  let rate = null;
+  let loaded = 0;
+  let plainLineAt = 0;
+
+  function currentLabel() {
+    return typeof label === 'function' ? label() : label;
+  }
+
+  function measure(bytes) {
+    const now = Date.now();
+    if (!first) {
+      first = { time: now, loaded: bytes };
+    }
+    if (!last || bytes < last.loaded) {
+      last = { time: now, loaded: bytes };
+      return;
+    }
+
+    const elapsed = now - last.time;
+    if (elapsed <= 0) return;
+
+    if (now - first.time < RATE_SMOOTHING && bytes >= first.loaded) {
+      // Too few samples for a moving average, a single one would make the ETA jump
+      rate = ((bytes - first.loaded) * 1000) / (now - first.time);
+    } else {
+      const sample = ((bytes - last.loaded) * 1000) / elapsed;
+      const weight = 1 - Math.exp(-elapsed / RATE_SMOOTHING);
+      rate = rate === null ? sample : rate + weight * (sample - rate);
+    }
+    last = { time: now, loaded: bytes };
+  }
+
+  // Colored parts of the progress line
+  function describe() {
+    const parts = [];
+    if (total) {
+      const fraction = loaded / total;
+      parts.push(chalk.cyan(renderBar(fraction)) + chalk.yellow(` ${Math.floor(fraction * 100)}%`));
+      parts.push(chalk.white(`${formatFileSize(loaded)} / ${formatFileSize(total)}`));
+    } else {
+      parts.push(chalk.white(`${formatFileSize(loaded)} sent`));
+    }
+    if (rate !== null) {
+      parts.push(chalk.cyan(`[${formatRate(rate)}]`));
+    }
+
+    let timing = formatDuration((Date.now() - startTime) / 1000);
+    if (total && rate > 0 && loaded < total) {
+      timing += `, ETA ${formatDuration((total - loaded) / rate)}`;
+    }
+    parts.push(chalk.gray(timing));
+
+    const extra = details ? details() : '';
+    return chalk.yellow(currentLabel()) + ' ' + parts.join(' ') + (extra ? chalk.gray(extra) : '');
+  }
+
+  function render() {
+    if (spinner.isSilent) return;
+    if (spinner.isEnabled) {
+      spinner.text = describe() + (hint ? chalk.gray(` ${hint}`) : '');
+      return;
+    }
+
+    const now = Date.now();
+    if (now - plainLineAt >= PLAIN_LINE_INTERVAL) {
+      plainLineAt = now;
+      console.log(describe());
+    }
+  }
+
+  return {
+    update(bytes) {
+      measure(bytes);
+      loaded = bytes;
+      render();
+    },
+
+    // Replace the numbers with a message for a while, e.g. a retry countdown
+    message(text) {
+      last = null;
+      if (spinner.isEnabled) {
+        spinner.text = text;
+      } else if (!spinner.isSilent) {
+        console.log(text);
+      }
+    },
+
+    // Redraw without new bytes, e.g. after a failure changed the details
+    refresh() {
+      render();
+    },
+
+    // "27.1 MB in 14s, 1.93 MB/s average" once the transfer is done,
+    // with the final byte count when the last progress event came before the end
+    summary(bytes = loaded) {
+      loaded = Math.max(loaded, bytes || 0);
+      const seconds = (Date.now() - startTime) / 1000;
+      const sent = first ? loaded - first.loaded : loaded;
+      const measured = first ? (Date.now() - first.time) / 1000 : seconds;
+      const average = measured > 0 && sent > 0 ? `, ${formatRate(sent / measured)} average` : '';
+      return `${formatFileSize(loaded)} in ${formatDuration(seconds)}${average}`;
+    }
+  };
+}
+
+module.exports = {
+  formatDuration,
+  createProgress
+};
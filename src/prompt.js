@@ -0,0 +1,54 @@
+const readline = require('readline');
+
+// ==================== PROMPTS ====================
+
+// Ask a single question and resolve with the trimmed answer
+function ask(question) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer.trim());
+    });
+  });
+}
+
+// Ask for a secret, typed characters are not echoed
+function askHidden(question) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+      terminal: true
+    });
+
+    let muted = false;
+    rl._writeToOutput = (text) => {
+      if (!muted || text.includes('\n')) {
+        rl.output.write(muted ? '\n' : text);
+      }
+    };
+
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer);
+    });
+    muted = true;
+  });
+}
+
+// Ask a yes/no question, only "y" or "yes" counts as yes
+async function confirm(question) {
+  const answer = await ask(question);
+  return ['y', 'yes'].includes(answer.toLowerCase());
+}
+
+module.exports = {
+  ask,
+  askHidden,
+  confirm
+};
@@ -0,0 +1,167 @@
+const axios = require('axios');
+const FormData = require('form-data');
+
+const GOFILE_UPLOAD_URL = 'https://upload.gofile.io/uploadfile';
+const GOFILE_API_URL = 'https://api.gofile.io';
+const GOFILE_WEBSITE_SCRIPT_URL = 'https://gofile.io/dist/js/global.js';
+
+// Anonymous uploads can only be managed with the guest token Gofile handed out for them
+function resolveToken(entry, credentials) {
+  if (credentials && credentials.apiKey) return credentials.apiKey;
+  if (entry && entry.meta && entry.meta.guestToken) return entry.meta.guestToken;
+  throw new Error('No Gofile API token found');
+}
+
+// Gofile reports API errors in the body status rather than the HTTP status
+function unwrap(response) {
+  if (response.data.status !== 'ok') {
+    throw new Error(`Gofile API error: ${response.data.status}`);
+  }
+  return response.data.data;
+}
+
+// Downloads need an account token, anonymous visitors get a temporary guest account
+async function getDownloadToken(credentials) {
+  if (credentials && credentials.apiKey) {
+    return credentials.apiKey;
+  }
+  const response = await axios.post(`${GOFILE_API_URL}/accounts`);
+  return unwrap(response).token;
+}
+
+// The website token Gofile's own page sends with content requests
+async function getWebsiteToken() {
+  const response = await axios.get(GOFILE_WEBSITE_SCRIPT_URL, { responseType: 'text' });
+  const match = String(response.data).match(/wt\s*[:=]\s*["']([^"']+)["']/);
+  if (!match) {
+    throw new Error('Could not read Gofile website token');
+  }
+  return match[1];
+}
+
+module.exports = {
+  name: 'gofile',
+  label: 'Gofile',
+  aliases: ['gf'],
+  color: 'magenta',
+  description: 'Default, Anonymous, API Key',
+  apiKeyUrl: 'https://gofile.io/myProfile',
+  expiresFiles: true,
+
+  // Token is optional, uploads are anonymous without one
+  validateCredentials() {},
+
+  async upload(file, { credentials, onProgress, signal }) {
+    // Create form data with streaming
+    const form = new FormData();
+    form.append('file', file.createStream(), {
+      filename: file.name
+    });
+
+    const headers = {
+      ...form.getHeaders()
+    };
+
+    // Add token if provided (otherwise upload as anonymous)
+    if (credentials && credentials.apiKey) {
+      headers['Authorization'] = `Bearer ${credentials.apiKey}`;
+    }
+
+    const response = await axios.post(GOFILE_UPLOAD_URL, form, {
+      headers: headers,
+      maxContentLength: Infinity,
+      maxBodyLength: Infinity,
+      signal: signal,
+      onUploadProgress: onProgress
+    });
+
+    const data = response.data.data;
+    const meta = { parentFolder: data.parentFolder };
+    if (data.guestToken) {
+      meta.guestToken = data.guestToken;
+    }
+
+    return {
+      fileId: data.fileId,
+      downloadLink: data.downloadPage,
+      meta: meta,
+      checksums: data.md5 ? { md5: data.md5 } : undefined
+    };
+  },
+
+  async delete(entry, { credentials }) {
+    const response = await axios.delete(`${GOFILE_API_URL}/contents`, {
+      headers: { 'Authorization': `Bearer ${resolveToken(entry, credentials)}` },
+      data: { contentsId: entry.fileId }
+    });
+    unwrap(response);
+  },
+
+  async info(entry, { credentials }) {
+    const response = await axios.get(`${GOFILE_API_URL}/contents/${entry.fileId}`, {
+      headers: { 'Authorization': `Bearer ${resolveToken(entry, credentials)}` }
+    });
+
+    const data = unwrap(response);
+    return {
+      name: data.name,
+      size: data.size,
+      checksums: data.md5 ? { md5: data.md5 } : undefined,
+      raw: data
+    };
+  },
+
+  // Gofile deletes the upload's folder (the share link) by itself once it expires
+  async setExpiry(entry, expiresAt, { credentials }) {
+    const folderId = entry.meta && entry.meta.parentFolder;
+    if (!folderId) {
+      throw new Error('Upload has no Gofile folder');
+    }
+
+    const response = await axios.put(`${GOFILE_API_URL}/contents/${folderId}/update`, {
+      attribute: 'expiry',
+      attributeValue: Math.floor(expiresAt.getTime() / 1000)
+    }, {
+      headers: { 'Authorization': `Bearer ${resolveToken(entry, credentials)}` }
+    });
+    unwrap(response);
+  },
+
+  parseLink(link) {
+    const match = link.match(/gofile\.io\/d\/([A-Za-z0-9]+)/);
+    return match ? match[1] : null;
+  },
+
+  // Share links point at a folder page, a single file inside it is downloaded
+  async resolveDownload(contentId, { credentials }) {
+    const token = await getDownloadToken(credentials);
+    const websiteToken = await getWebsiteToken();
+
+    const response = await axios.get(`${GOFILE_API_URL}/contents/${contentId}`, {
+      params: { wt: websiteToken },
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'X-Website-Token': websiteToken
+      }
+    });
+
+    const data = unwrap(response);
+    const files = data.type === 'file'
+      ? [data]
+      : Object.values(data.children || {}).filter(child => child.type === 'file');
+
+    if (files.length === 0) {
+      throw new Error('No files found at this Gofile link');
+    }
+    if (files.length > 1) {
+      throw new Error(`Gofile folder contains ${files.length} files, only single-file links are supported`);
+    }
+
+    return {
+      url: files[0].link,
+      headers: { 'Cookie': `accountToken=${token}` },
+      name: files[0].name,
+      size: files[0].size
+    };
+  }
+};
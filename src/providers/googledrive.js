@@ -0,0 +1,739 @@
+const fs = require('fs');
+const http = require('http');
+const crypto = require('crypto');
+const readline = require('readline');
+const axios = require('axios');
+const chalk = require('chalk');
+const ora = require('ora');
+const { google } = require('googleapis');
+const open = require('open');
+const { saveConfig, removeServiceCredentials, getSetting } = require('../config');
+const { ask, confirm } = require('../prompt');
+const { formatTimestamp } = require('../utils');
+const { findSession, saveSession, removeSession } = require('../sessions');
+const { withRetry } = require('../retry');
+const { getAgent } = require('../network');
+
+const GOOGLE_DRIVE_SCOPES = ['https://www.googleapis.com/auth/drive.file'];
+const GOOGLE_DRIVE_DOWNLOAD_URL = 'https://drive.usercontent.google.com/download';
+const GOOGLE_DRIVE_UPLOAD_URL = 'https://www.googleapis.com/upload/drive/v3/files';
+
+// Resumable uploads send the file in chunks, which must be multiples of 256 KiB.
+// Files smaller than one chunk go up in a single request.
+const RESUMABLE_CHUNK_SIZE = 32 * 256 * 1024;
+
+// How long to wait for the user to sign in
+const AUTHORIZATION_TIMEOUT = 5 * 60 * 1000;
+
+// Google's clients make their requests with their own HTTP library, which gets the
+// same proxy and certificates as the rest of pld (see ../network.js)
+const TRANSPORTER_OPTIONS = {
+  agent: (url) => getAgent(url.href)
+};
+
+// Create OAuth2 client, the redirect URI only matters while authorizing
+function createOAuth2Client(clientId, clientSecret, redirectUri) {
+  return new google.auth.OAuth2({
+    clientId: clientId,
+    clientSecret: clientSecret,
+    redirectUri: redirectUri,
+    transporterOptions: TRANSPORTER_OPTIONS
+  });
+}
+
+// Service account key: the parsed JSON, or a JSON string / file path (e.g. from PLD_GOOGLE_DRIVE_SERVICE_ACCOUNT)
+function readServiceAccountKey(serviceAccount) {
+  let key = serviceAccount;
+  if (typeof key === 'string') {
+    key = JSON.parse(key.trim().startsWith('{') ? key : fs.readFileSync(key, 'utf8'));
+  }
+  if (!key || key.type !== 'service_account' || !key.client_email || !key.private_key) {
+    throw new Error('Not a Google service account key file');
+  }
+  return key;
+}
+
+// Get Google Drive auth client with valid credentials:
+// a service account for unattended servers, or OAuth with a refresh token
+function getGoogleDriveClient(credentials) {
+  if (credentials && credentials.serviceAccount) {
+    const key = readServiceAccountKey(credentials.serviceAccount);
+    return new google.auth.JWT({
+      email: key.client_email,
+      key: key.private_key,
+      scopes: GOOGLE_DRIVE_SCOPES,
+      transporterOptions: TRANSPORTER_OPTIONS
+    });
+  }
+
+  if (!credentials || !credentials.clientId || !credentials.clientSecret) {
+    return null;
+  }
+
+  const oauth2Client = createOAuth2Client(credentials.clientId, credentials.clientSecret);
+
+  if (credentials.refreshToken) {
+    oauth2Client.setCredentials({
+      refresh_token: credentials.refreshToken
+    });
+    return oauth2Client;
+  }
+
+  return null;
+}
+
+// Create Drive API client
+function getDrive(credentials) {
+  const auth = getGoogleDriveClient(credentials);
+  if (!auth) {
+    throw new Error('Google Drive not configured');
+  }
+  return google.drive({ version: 'v3', auth });
+}
+
+// ==================== RESUMABLE UPLOADS ====================
+//
+// Drive hands out a session URI (valid for a week) that accepts the file in chunks.
+// The URI and the confirmed offset are kept in ~/.pld/sessions.json after every chunk,
+// so an interrupted upload continues where it stopped instead of starting over.
+
+async function authorizationHeaders(credentials) {
+  const { token } = await getGoogleDriveClient(credentials).getAccessToken();
+  return { 'Authorization': `Bearer ${token}` };
+}
+
+// Drive answers 308 while the upload is incomplete, its Range header holds the bytes it has
+function offsetFromResponse(response) {
+  const range = response.headers['range'];
+  const match = range && range.match(/bytes=0-(\d+)/);
+  return match ? Number(match[1]) + 1 : 0;
+}
+
+const sessionRequestOptions = {
+  maxRedirects: 0,
+  maxContentLength: Infinity,
+  maxBodyLength: Infinity,
+  validateStatus: (status) => status === 308 || (status >= 200 && status < 300)
+};
+
+async function startUploadSession(file, credentials, signal) {
+  const response = await axios.post(
+    `${GOOGLE_DRIVE_UPLOAD_URL}?uploadType=resumable&fields=id&supportsAllDrives=true`,
+    { name: file.name, parents: credentials.folderId ? [credentials.folderId] : undefined },
+    {
+      headers: {
+        ...(await authorizationHeaders(credentials)),
+        'X-Upload-Content-Type': 'application/octet-stream',
+        'X-Upload-Content-Length': file.size
+      },
+      signal: signal
+    }
+  );
+  return response.headers['location'];
+}
+
+// Ask Drive how much of the file it already has.
+// Returns { offset } or { fileId } when the upload had already finished, null if the session expired.
+async function querySessionStatus(sessionUri, file, credentials, signal) {
+  try {
+    const response = await axios.put(sessionUri, null, {
+      ...sessionRequestOptions,
+      headers: {
+        ...(await authorizationHeaders(credentials)),
+        'Content-Range': `bytes */${file.size}`
+      },
+      signal: signal
+    });
+    return response.status === 308 ? { offset: offsetFromResponse(response) } : { fileId: response.data.id };
+  } catch (error) {
+    if (error.response && [404, 410].includes(error.response.status)) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Send the file from its saved offset, chunk by chunk. Resolves with the Drive file id.
+async function resumableUpload(file, { credentials, onProgress, signal }) {
+  let session = findSession('googledrive', file);
+  let offset = 0;
+
+  if (session) {
+    const status = await querySessionStatus(session.sessionUri, file, credentials, signal);
+    if (status && status.fileId) {
+      removeSession('googledrive', file.path);
+      return status.fileId;
+    }
+    if (status) {
+      offset = status.offset;
+    } else {
+      session = null;
+    }
+  }
+
+  if (!session) {
+    session = {
+      service: 'googledrive',
+      path: file.path,
+      name: file.name,
+      size: file.size,
+      modifiedAt: file.modifiedAt,
+      sessionUri: await startUploadSession(file, credentials, signal),
+      offset: 0,
+      createdAt: new Date().toISOString()
+    };
+  }
+  saveSession({ ...session, offset });
+
+  const reportProgress = (loaded) => {
+    if (onProgress) onProgress({ loaded: loaded, total: file.size });
+  };
+  reportProgress(offset);
+
+  while (offset < file.size) {
+    const end = Math.min(offset + RESUMABLE_CHUNK_SIZE, file.size) - 1;
+    const chunkStart = offset;
+
+    let response;
+    try {
+      response = await axios.put(session.sessionUri, file.createStream({ start: chunkStart, end }), {
+        ...sessionRequestOptions,
+        headers: {
+          ...(await authorizationHeaders(credentials)),
+          'Content-Length': end - chunkStart + 1,
+          'Content-Range': `bytes ${chunkStart}-${end}/${file.size}`
+        },
+        signal: signal,
+        onUploadProgress: (progress) => reportProgress(chunkStart + progress.loaded)
+      });
+    } catch (error) {
+      error.resumable = true;
+      throw error;
+    }
+
+    if (response.status !== 308) {
+      removeSession('googledrive', file.path);
+      reportProgress(file.size);
+      return response.data.id;
+    }
+
+    offset = offsetFromResponse(response);
+    saveSession({ ...session, offset });
+    reportProgress(offset);
+  }
+
+  // Every byte was confirmed but the final response was lost
+  const status = await querySessionStatus(session.sessionUri, file, credentials, signal);
+  if (!status || !status.fileId) {
+    throw new Error('Google Drive did not finish the upload session');
+  }
+  removeSession('googledrive', file.path);
+  return status.fileId;
+}
+
+// Listen for the OAuth redirect on the configured port, 0 picks any free one.
+// Desktop app clients accept any loopback port, web clients need the exact URI registered.
+// Only on the loopback interface, on headless machines nothing else may reach it.
+function startCallbackServer(port) {
+  return new Promise((resolve, reject) => {
+    const server = http.createServer();
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => resolve(server));
+  });
+}
+
+// Resolves with the query parameters of the first request to /callback that carries
+// the state of this sign-in, other requests are answered and otherwise ignored
+function waitForCallback(server, expectedState) {
+  return new Promise((resolve) => {
+    server.on('request', (req, res) => {
+      const requestUrl = new URL(req.url, 'http://localhost');
+      if (requestUrl.pathname !== '/callback') {
+        res.writeHead(404);
+        res.end();
+        return;
+      }
+      if (requestUrl.searchParams.get('state') !== expectedState) {
+        res.writeHead(400, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end('<html><body><h1>Unknown Request</h1><p>This does not belong to the current sign-in.</p></body></html>');
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      if (requestUrl.searchParams.get('error')) {
+        res.end('<html><body><h1>Authorization Failed</h1><p>You can close this window.</p></body></html>');
+      } else {
+        res.end('<html><body><h1>Authorization Successful!</h1><p>You can close this window and return to the terminal.</p></body></html>');
+      }
+      resolve(requestUrl.searchParams);
+    });
+  });
+}
+
+// The redirect URL pasted by the user (or only its code), as query parameters.
+// A URL has to carry the state of this sign-in, null when it does not. A bare code
+// has no state to check.
+function parseAuthorizationInput(input, expectedState) {
+  const text = input.trim();
+  if (text.includes('code=') || text.includes('error=')) {
+    const query = text.includes('?') ? text.substring(text.indexOf('?') + 1) : text;
+    const params = new URLSearchParams(query);
+    return params.get('state') === expectedState ? params : null;
+  }
+  return new URLSearchParams({ code: text });
+}
+
+// Ask for the redirect URL, can be cancelled when the callback server gets it first
+function promptAuthorizationInput(expectedState) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+
+  const promise = new Promise((resolve) => {
+    const askInput = () => rl.question(chalk.yellow('Paste the redirect URL (or the code): '), (answer) => {
+      const params = parseAuthorizationInput(answer, expectedState);
+      if (!params) {
+        console.log(chalk.red('That URL belongs to another sign-in, paste the one of the URL above.'));
+        askInput();
+        return;
+      }
+      rl.close();
+      resolve(params);
+    });
+    askInput();
+  });
+
+  return { promise, cancel: () => rl.close() };
+}
+
+// No local browser: SSH sessions, or Linux without a display
+function isHeadless() {
+  if (process.env.SSH_CONNECTION || process.env.SSH_CLIENT || process.env.SSH_TTY) {
+    return true;
+  }
+  return process.platform === 'linux' && !process.env.DISPLAY && !process.env.WAYLAND_DISPLAY;
+}
+
+function timeout(ms, message) {
+  let timer;
+  const promise = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return { promise, clear: () => clearTimeout(timer) };
+}
+
+// Authenticate with Google Drive (full OAuth flow with PKCE).
+// Opens the browser and waits for the loopback redirect. Without a browser the user
+// signs in elsewhere and pastes the URL they were redirected to.
+async function authenticateGoogleDrive(clientId, clientSecret) {
+  const port = Number(getSetting('oauthPort', 0));
+
+  let server = null;
+  try {
+    server = await startCallbackServer(port);
+  } catch (error) {
+    console.log(chalk.yellow(`\nCould not listen on port ${port} (${error.code || error.message}), you will have to paste the code.`));
+  }
+
+  const redirectUri = `http://localhost:${server ? server.address().port : port}/callback`;
+  const oauth2Client = createOAuth2Client(clientId, clientSecret, redirectUri);
+  const { codeVerifier, codeChallenge } = await oauth2Client.generateCodeVerifierAsync();
+  const state = crypto.randomBytes(16).toString('hex');
+
+  // Generate auth URL
+  const authUrl = oauth2Client.generateAuthUrl({
+    access_type: 'offline',
+    scope: GOOGLE_DRIVE_SCOPES,
+    prompt: 'consent', // Force to get refresh token
+    code_challenge_method: 'S256',
+    code_challenge: codeChallenge,
+    state: state
+  });
+
+  let manual = !server || isHeadless();
+  if (!manual) {
+    console.log(chalk.white('\n🔗 Opening browser for Google authorization...'));
+    console.log(chalk.gray('If browser does not open, visit this URL:\n'));
+    console.log(chalk.cyan.underline(authUrl) + '\n');
+
+    // Open browser
+    try {
+      await open(authUrl);
+    } catch (err) {
+      console.log(chalk.yellow('Could not open browser automatically.'));
+      manual = true;
+    }
+  } else {
+    console.log(chalk.white('\n🔗 Open this URL in a browser on any device and sign in:\n'));
+    console.log(chalk.cyan.underline(authUrl) + '\n');
+    console.log(chalk.gray('Google then redirects to ') + chalk.cyan(redirectUri) + chalk.gray('. That page will not load'));
+    console.log(chalk.gray('on another device, copy the full URL from the address bar and paste it below.'));
+    if (server) {
+      console.log(chalk.gray(`Over SSH you can also forward the port instead: ssh -L ${server.address().port}:127.0.0.1:${server.address().port} ...\n`));
+    } else {
+      console.log('');
+    }
+  }
+
+  const spinner = ora();
+  const prompt = manual ? promptAuthorizationInput(state) : null;
+  if (!manual) {
+    spinner.start(chalk.yellow('Waiting for authorization...'));
+  }
+
+  const waiting = [timeout(AUTHORIZATION_TIMEOUT, 'Authorization timeout')];
+  const sources = [waiting[0].promise];
+  if (server) sources.push(waitForCallback(server, state));
+  if (prompt) sources.push(prompt.promise);
+
+  try {
+    const params = await Promise.race(sources);
+
+    // Both sources only hand over parameters of this sign-in, see their state checks
+    if (params.get('error')) {
+      throw new Error(params.get('error'));
+    }
+    if (!params.get('code')) {
+      throw new Error('No authorization code found');
+    }
+    spinner.succeed(chalk.green('Authorization received!'));
+
+    // Exchange code for tokens
+    const { tokens } = await oauth2Client.getToken({ code: params.get('code'), codeVerifier: codeVerifier });
+
+    if (!tokens.refresh_token) {
+      throw new Error('No refresh token received. Please try again.');
+    }
+
+    return {
+      refreshToken: tokens.refresh_token,
+      accessToken: tokens.access_token
+    };
+  } catch (error) {
+    spinner.fail(chalk.red('Authorization failed!'));
+    throw error;
+  } finally {
+    waiting.forEach(entry => entry.clear());
+    if (prompt) prompt.cancel();
+    if (server) server.close();
+  }
+}
+
+// Prompt for Google Drive Client ID
+function promptGoogleDriveClientId() {
+  console.log(chalk.white('\n🔑 Please enter your Google OAuth Client ID:'));
+  console.log(chalk.gray('Get it from: ') + chalk.cyan.underline('https://console.cloud.google.com/apis/credentials\n'));
+
+  return ask(chalk.yellow('Client ID: '));
+}
+
+// Prompt for Google Drive Client Secret
+function promptGoogleDriveClientSecret() {
+  return ask(chalk.yellow('Client Secret: '));
+}
+
+// Set up a service account from its JSON key file, for servers where nobody can sign in
+async function configureServiceAccount() {
+  console.log(chalk.white('\n🔑 Create a key for the service account in Google Cloud Console (Keys > Add key > JSON).'));
+  console.log(chalk.gray('Service accounts have no storage of their own: share a folder (or a shared drive)'));
+  console.log(chalk.gray('with the service account email and enter its ID, the part after /folders/ in its URL.\n'));
+
+  const keyFile = await ask(chalk.yellow('Path to the JSON key file: '));
+  if (!keyFile) {
+    console.log(chalk.red('\n❌ Key file cannot be empty\n'));
+    return;
+  }
+
+  let serviceAccount;
+  try {
+    serviceAccount = readServiceAccountKey(keyFile);
+  } catch (error) {
+    console.log(chalk.red('\n❌ Could not read key file: ' + error.message + '\n'));
+    return;
+  }
+
+  const folderId = await ask(chalk.yellow('Folder ID to upload into: '));
+
+  const spinner = ora(chalk.yellow('Checking service account...')).start();
+  try {
+    await getGoogleDriveClient({ serviceAccount }).getAccessToken();
+    spinner.succeed(chalk.green('Service account works!'));
+  } catch (error) {
+    spinner.fail(chalk.red('Service account check failed!'));
+    console.log(chalk.red('\n❌ Setup failed: ' + error.message + '\n'));
+    return;
+  }
+
+  saveConfig('googleDrive', {
+    serviceAccount: serviceAccount,
+    folderId: folderId || undefined
+  });
+
+  console.log(chalk.green('\n✓ Google Drive configured with service account ') + chalk.cyan(serviceAccount.client_email));
+  console.log(chalk.white('You can now upload files: ') + chalk.cyan('pld -s <file> gd\n'));
+}
+
+// Set up OAuth, the user signs in with their Google account
+async function configureOAuth() {
+  console.log(chalk.gray('\nCreate an OAuth client ID of type ') + chalk.cyan('Desktop app') + chalk.gray(' in Google Cloud Console.'));
+  console.log(chalk.gray('A Web application client works too if ') + chalk.cyan('http://localhost:<port>/callback') + chalk.gray(' is a redirect URI'));
+  console.log(chalk.gray('and the oauthPort setting holds that port.'));
+
+  const clientId = await promptGoogleDriveClientId();
+  if (!clientId) {
+    console.log(chalk.red('\n❌ Client ID cannot be empty\n'));
+    return;
+  }
+
+  const clientSecret = await promptGoogleDriveClientSecret();
+  if (!clientSecret) {
+    console.log(chalk.red('\n❌ Client Secret cannot be empty\n'));
+    return;
+  }
+
+  try {
+    const tokens = await authenticateGoogleDrive(clientId, clientSecret);
+
+    saveConfig('googleDrive', {
+      clientId: clientId,
+      clientSecret: clientSecret,
+      refreshToken: tokens.refreshToken
+    });
+
+    console.log(chalk.green('\n✓ Google Drive configured successfully!\n'));
+    console.log(chalk.white('You can now upload files: ') + chalk.cyan('pld -s <file> gd\n'));
+  } catch (error) {
+    console.log(chalk.red('\n❌ Setup failed: ' + error.message + '\n'));
+  }
+}
+
+// Configure Google Drive
+async function configureGoogleDrive(existingCredentials) {
+  if (existingCredentials && (existingCredentials.refreshToken || existingCredentials.serviceAccount)) {
+    const isServiceAccount = Boolean(existingCredentials.serviceAccount);
+
+    // Already configured, show menu
+    while (true) {
+      console.log(chalk.white.bold('\n⚙️  Google Drive Configuration\n'));
+      console.log(chalk.cyan('1. ') + chalk.white('View current configuration'));
+      console.log(chalk.cyan('2. ') + chalk.white(isServiceAccount ? 'Replace service account key' : 'Re-authorize (get new token)'));
+      console.log(chalk.cyan('3. ') + chalk.white('Delete configuration'));
+      console.log(chalk.cyan('4. ') + chalk.white('Exit\n'));
+
+      const choice = await ask(chalk.yellow('Select an option (1-4): '));
+
+      switch (choice) {
+        case '1':
+          // View current config (masked)
+          console.log(chalk.white('\n📋 Current Configuration:'));
+          if (isServiceAccount) {
+            console.log(chalk.gray('  Type: ') + chalk.cyan('Service account'));
+            let account;
+            try {
+              account = readServiceAccountKey(existingCredentials.serviceAccount).client_email;
+            } catch (error) {
+              account = chalk.red(error.message);
+            }
+            console.log(chalk.gray('  Account: ') + chalk.cyan(account));
+            console.log(chalk.gray('  Folder ID: ') + chalk.cyan(existingCredentials.folderId || '(none)'));
+          } else {
+            const maskedClientId = existingCredentials.clientId.substring(0, 10) + '...';
+            const maskedSecret = existingCredentials.clientSecret.substring(0, 4) + '...';
+            console.log(chalk.gray('  Type: ') + chalk.cyan('OAuth'));
+            console.log(chalk.gray('  Client ID: ') + chalk.cyan(maskedClientId));
+            console.log(chalk.gray('  Client Secret: ') + chalk.cyan(maskedSecret));
+          }
+          console.log(chalk.gray('  Status: ') + chalk.green('Authorized'));
+          if (existingCredentials.updatedAt) {
+            console.log(chalk.gray('  Updated: ') + chalk.white(formatTimestamp(existingCredentials.updatedAt)));
+          }
+          console.log('');
+          break;
+
+        case '2':
+          // Re-authorize
+          if (isServiceAccount) {
+            await configureServiceAccount();
+            return;
+          }
+          try {
+            const tokens = await authenticateGoogleDrive(
+              existingCredentials.clientId,
+              existingCredentials.clientSecret
+            );
+            saveConfig('googleDrive', {
+              clientId: existingCredentials.clientId,
+              clientSecret: existingCredentials.clientSecret,
+              refreshToken: tokens.refreshToken
+            });
+            console.log(chalk.green('\n✓ Google Drive re-authorized successfully!\n'));
+            return;
+          } catch (error) {
+            console.log(chalk.red('\n❌ Re-authorization failed: ' + error.message + '\n'));
+          }
+          break;
+
+        case '3':
+          // Delete config
+          const confirmed = await confirm(chalk.red('\n⚠️  Are you sure you want to delete the configuration? (y/n): '));
+          if (confirmed) {
+            if (removeServiceCredentials('googleDrive')) {
+              console.log(chalk.green('\n✓ Google Drive configuration deleted!\n'));
+              return;
+            }
+          } else {
+            console.log(chalk.gray('\n→ Deletion cancelled.\n'));
+          }
+          break;
+
+        case '4':
+          console.log(chalk.gray('\n→ Exiting configuration.\n'));
+          return;
+
+        default:
+          console.log(chalk.red('\n❌ Invalid option. Please select 1-4.\n'));
+      }
+    }
+  } else {
+    // New configuration
+    console.log(chalk.white.bold('\n🔧 Google Drive Setup\n'));
+    console.log(chalk.cyan('1. ') + chalk.white('Sign in with a Google account (OAuth)'));
+    console.log(chalk.cyan('2. ') + chalk.white('Use a service account key (servers, CI)\n'));
+
+    const choice = await ask(chalk.yellow('Select an option (1-2): '));
+    if (choice === '2') {
+      await configureServiceAccount();
+    } else if (choice === '1') {
+      await configureOAuth();
+    } else {
+      console.log(chalk.red('\n❌ Invalid option. Please select 1-2.\n'));
+    }
+  }
+}
+
+// Checksums Drive computed for the stored file, none for Google Docs files
+function driveChecksums(file) {
+  const checksums = {};
+  if (file.md5Checksum) checksums.md5 = file.md5Checksum;
+  if (file.sha256Checksum) checksums.sha256 = file.sha256Checksum;
+  return Object.keys(checksums).length > 0 ? checksums : undefined;
+}
+
+module.exports = {
+  name: 'googledrive',
+  label: 'Google Drive',
+  aliases: ['gd'],
+  color: 'blue',
+  description: 'Requires OAuth or service account setup, 15GB free storage',
+  credentialsKey: 'googleDrive',
+  linkLabel: 'Share Link',
+
+  configure: configureGoogleDrive,
+
+  validateCredentials(credentials) {
+    if (!getGoogleDriveClient(credentials)) {
+      throw new Error('Google Drive not configured');
+    }
+  },
+
+  // The key file itself is a secret, its account name is not
+  describeCredential(field, value) {
+    if (field !== 'serviceAccount') return null;
+    try {
+      return `service account (${readServiceAccountKey(value).client_email})`;
+    } catch (error) {
+      return 'service account (unreadable key)';
+    }
+  },
+
+  async upload(file, { credentials, onProgress, signal }) {
+    const drive = getDrive(credentials);
+    let uploadedId;
+
+    // Plain files large enough for several chunks can be resumed,
+    // archives and encrypted streams differ on every run and are sent in one go
+    if (file.resumable && file.size > RESUMABLE_CHUNK_SIZE) {
+      uploadedId = await resumableUpload(file, { credentials, onProgress, signal });
+    } else {
+      const response = await drive.files.create({
+        requestBody: {
+          name: file.name,
+          parents: credentials.folderId ? [credentials.folderId] : undefined
+        },
+        media: {
+          mimeType: 'application/octet-stream',
+          body: file.createStream()
+        },
+        fields: 'id',
+        supportsAllDrives: true
+      }, {
+        signal: signal,
+        onUploadProgress: (progress) => {
+          if (onProgress) onProgress({ loaded: progress.bytesRead, total: file.size || undefined });
+        }
+      });
+      uploadedId = response.data.id;
+    }
+
+    // Set file to be publicly accessible.
+    // The file is already uploaded, so these calls are retried on their own
+    // rather than failing and sending the whole file again.
+    await withRetry(() => drive.permissions.create({
+      fileId: uploadedId,
+      supportsAllDrives: true,
+      requestBody: {
+        role: 'reader',
+        type: 'anyone'
+      }
+    }), { signal });
+
+    // Get updated file info with sharing link
+    const fileInfo = await withRetry(() => drive.files.get({
+      fileId: uploadedId,
+      supportsAllDrives: true,
+      fields: 'id, name, md5Checksum, sha256Checksum, webViewLink, webContentLink'
+    }), { signal });
+
+    const fileId = fileInfo.data.id;
+    return {
+      fileId: fileId,
+      downloadLink: fileInfo.data.webViewLink || `https://drive.google.com/file/d/${fileId}/view?usp=sharing`,
+      checksums: driveChecksums(fileInfo.data)
+    };
+  },
+
+  async delete(entry, { credentials }) {
+    await getDrive(credentials).files.delete({ fileId: entry.fileId, supportsAllDrives: true });
+  },
+
+  async info(entry, { credentials }) {
+    const response = await getDrive(credentials).files.get({
+      fileId: entry.fileId,
+      supportsAllDrives: true,
+      fields: 'id, name, size, md5Checksum, sha256Checksum, trashed, webViewLink'
+    });
+
+    return {
+      name: response.data.name,
+      size: Number(response.data.size),
+      checksums: driveChecksums(response.data),
+      raw: response.data
+    };
+  },
+
+  parseLink(link) {
+    const match = link.match(/drive\.google\.com\/file\/d\/([\w-]+)/) ||
+      link.match(/(?:drive|docs)\.google\.com\/.*[?&]id=([\w-]+)/);
+    return match ? match[1] : null;
+  },
+
+  // Shared files are public, so no credentials are needed.
+  // confirm=t skips the "can't scan for viruses" page of large files.
+  async resolveDownload(fileId) {
+    return {
+      url: `${GOOGLE_DRIVE_DOWNLOAD_URL}?id=${fileId}&export=download&confirm=t`,
+      headers: {}
+    };
+  }
+};
@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+const { CONFIG_DIR, getServiceCredentials, saveConfig } = require('../config');
+const { ask, confirm } = require('../prompt');
+const { formatFileSize } = require('../utils');
+const { getAgent } = require('../network');
+
+const PLUGINS_DIR = path.join(CONFIG_DIR, 'plugins');
+
+// ==================== PROVIDER REGISTRY ====================
+//
+// A provider is a plain object:
+//
+//   name                 id stored in history and config (required)
+//   label                display name (required)
+//   aliases              short flags accepted on the command line, e.g. ['pd']
+//   color                chalk color used for the [Label] tag
+//   description          one-line note shown on the home screen
+//   apiKeyUrl            where to get an API key (generic `pld --config` flow)
+//   credentialsKey       config key holding credentials, defaults to name
+//   linkLabel            heading printed above the link, defaults to "Download Link"
+//   maxFileSize          size in bytes above which the user is asked to confirm
+//   maxFileSizeNote      explanation printed with that warning
+//   expiresFiles         true if the service deletes inactive files, a missing file then counts as expired
+//   configure(creds)     custom interactive setup, replaces the API key prompt
+//   validateCredentials(creds)             throw if the provider cannot be used
+//   describeCredential(field, value)       -> how `pld config show` prints a field, instead of masking it
+//   upload(file, { credentials, onProgress, signal })  -> { fileId, downloadLink, meta?, checksums? } (required)
+//   delete(entry, { credentials })         remove an uploaded file
+//   info(entry, { credentials })           -> { name, size, checksums?, raw }
+//   setExpiry(entry, expiresAt, { credentials })  have the service delete the file at expiresAt (a Date)
+//   parseLink(link)                        -> file id if the share link belongs to this service
+//   resolveDownload(fileId, { credentials }) -> { url, headers?, name?, size? } for a direct download
+//
+// `file` is { path, name, size, createStream() } and `entry` is a history entry.
+// Plain files also carry `modifiedAt` and `resumable: true`, their createStream({ start, end })
+// reads a byte range so providers can continue interrupted uploads (see ../sessions.js).
+// `checksums` are the hashes the service computed itself, e.g. { md5 } or { sha256 } in hex,
+// and are compared with the ones pld computed while sending the file.
+
+const providers = new Map();
+
+// Register a provider, replacing any previous one with the same name
+function registerProvider(provider) {
+  if (!provider || typeof provider.name !== 'string' || !provider.name) {
+    throw new Error('Provider must have a name');
+  }
+  if (!provider.label) {
+    throw new Error(`Provider "${provider.name}" must have a label`);
+  }
+  if (typeof provider.upload !== 'function') {
+    throw new Error(`Provider "${provider.name}" must implement upload()`);
+  }
+
+  providers.set(provider.name, {
+    aliases: [],
+    credentialsKey: provider.name,
+    ...provider
+  });
+}
+
+// Find a provider by name or alias
+function getProvider(nameOrAlias) {
+  if (!nameOrAlias) return null;
+  const key = nameOrAlias.toLowerCase();
+
+  if (providers.has(key)) {
+    return providers.get(key);
+  }
+  for (const provider of providers.values()) {
+    if (provider.aliases.includes(key)) {
+      return provider;
+    }
+  }
+  return null;
+}
+
+function listProviders() {
+  return Array.from(providers.values());
+}
+
+// Stored credentials for a provider (may be null)
+function getProviderCredentials(provider) {
+  return getServiceCredentials(provider.credentialsKey);
+}
+
+// Helpers handed to plugins that export a factory function
+const pluginApi = {
+  registerProvider,
+  getServiceCredentials,
+  saveConfig,
+  ask,
+  confirm,
+  formatFileSize,
+  // Plugins with their own HTTP client pass getAgent(url) to it to honor proxy settings
+  getAgent
+};
+
+// Load third-party providers from ~/.pld/plugins
+// Each entry is a .js file or a package directory exporting a provider,
+// an array of providers, or a function (api) => provider(s).
+// Returns the list of plugins that failed to load.
+function loadPlugins(dir = PLUGINS_DIR) {
+  const failures = [];
+
+  if (!fs.existsSync(dir)) {
+    return failures;
+  }
+
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.isFile() && path.extname(entry.name) !== '.js') continue;
+    if (!entry.isFile() && !entry.isDirectory()) continue;
+
+    const pluginPath = path.join(dir, entry.name);
+
+    try {
+      let exported = require(pluginPath);
+      if (typeof exported === 'function') {
+        exported = exported(pluginApi);
+      }
+
+      const list = Array.isArray(exported) ? exported : [exported];
+      for (const provider of list) {
+        // Factories may register providers themselves and return nothing
+        if (provider) registerProvider(provider);
+      }
+    } catch (error) {
+      failures.push({ plugin: entry.name, error });
+    }
+  }
+
+  return failures;
+}
+
+// Built-in providers
+registerProvider(require('./gofile'));
+registerProvider(require('./pixeldrain'));
+registerProvider(require('./googledrive'));
+
+module.exports = {
+  PLUGINS_DIR,
+  registerProvider,
+  getProvider,
+  listProviders,
+  getProviderCredentials,
+  loadPlugins
+};
@@ -0,0 +1,105 @@
+const axios = require('axios');
+const FormData = require('form-data');
+
+const PIXELDRAIN_API_URL = 'https://pixeldrain.com/api';
+
+// Pixeldrain uses HTTP Basic auth with an empty username and the API key as password
+function authHeaders(credentials) {
+  return {
+    'Authorization': `Basic ${Buffer.from(`:${credentials.apiKey}`).toString('base64')}`
+  };
+}
+
+// File info, also used to name downloads
+async function getFileInfo(fileId, credentials) {
+  const response = await axios.get(`${PIXELDRAIN_API_URL}/file/${fileId}/info`, {
+    headers: credentials && credentials.apiKey ? authHeaders(credentials) : {}
+  });
+
+  return {
+    name: response.data.name,
+    size: response.data.size,
+    checksums: response.data.hash_sha256 ? { sha256: response.data.hash_sha256 } : undefined,
+    raw: response.data
+  };
+}
+
+module.exports = {
+  name: 'pixeldrain',
+  label: 'Pixeldrain',
+  aliases: ['pd'],
+  color: 'green',
+  description: 'Requires API Key, Free: 10GB limit, limit speed upload',
+  apiKeyUrl: 'https://pixeldrain.com/user/api_keys',
+  maxFileSize: 10 * 1024 * 1024 * 1024,
+  maxFileSizeNote: 'Pixeldrain free accounts have a 10GB upload limit.',
+  expiresFiles: true,
+
+  validateCredentials(credentials) {
+    if (!credentials || !credentials.apiKey) {
+      throw new Error('No Pixeldrain API key found');
+    }
+  },
+
+  async upload(file, { credentials, onProgress, signal }) {
+    // Create form data with streaming
+    const form = new FormData();
+    form.append('file', file.createStream(), {
+      filename: file.name,
+      contentType: 'application/octet-stream'
+    });
+
+    const response = await axios.post(`${PIXELDRAIN_API_URL}/file`, form, {
+      headers: {
+        ...form.getHeaders(),
+        ...authHeaders(credentials)
+      },
+      maxContentLength: Infinity,
+      maxBodyLength: Infinity,
+      signal: signal,
+      onUploadProgress: onProgress
+    });
+
+    const fileId = response.data.id;
+
+    // The upload response has no hash, the file info has the one Pixeldrain computed.
+    // The file is already uploaded, so a failing lookup only skips the comparison.
+    let checksums;
+    try {
+      checksums = (await getFileInfo(fileId, credentials)).checksums;
+    } catch (error) {
+      checksums = undefined;
+    }
+
+    return {
+      fileId: fileId,
+      downloadLink: `https://pixeldrain.com/u/${fileId}`,
+      checksums: checksums
+    };
+  },
+
+  async delete(entry, { credentials }) {
+    await axios.delete(`${PIXELDRAIN_API_URL}/file/${entry.fileId}`, {
+      headers: authHeaders(credentials)
+    });
+  },
+
+  async info(entry, { credentials }) {
+    return getFileInfo(entry.fileId, credentials);
+  },
+
+  parseLink(link) {
+    const match = link.match(/pixeldrain\.com\/(?:u|api\/file)\/([A-Za-z0-9]+)/);
+    return match ? match[1] : null;
+  },
+
+  async resolveDownload(fileId, { credentials }) {
+    const info = await getFileInfo(fileId, credentials);
+    return {
+      url: `${PIXELDRAIN_API_URL}/file/${fileId}?download`,
+      headers: credentials && credentials.apiKey ? authHeaders(credentials) : {},
+      name: info.name,
+      size: info.size
+    };
+  }
+};
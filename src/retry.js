@@ -0,0 +1,104 @@
+// ==================== RETRY ====================
+//
+// Transient failures (dropped connections, rate limits, overloaded servers) are retried
+// with exponential backoff and full jitter. Anything else, like bad credentials or a
+// missing file, fails right away.
+
+const { CancelledError } = require('./errors');
+
+const DEFAULT_RETRIES = 3;
+const BASE_DELAY = 1000;
+const MAX_DELAY = 30 * 1000;
+// Longest Retry-After we are willing to wait for
+const MAX_RETRY_AFTER = 5 * 60 * 1000;
+
+const RETRYABLE_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'ENETDOWN', 'EHOSTUNREACH'];
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// axios errors carry a plain headers object, googleapis (gaxios) errors a fetch Headers
+function responseHeader(response, name) {
+  const headers = response && response.headers;
+  if (!headers) return undefined;
+  return typeof headers.get === 'function' ? headers.get(name) : headers[name];
+}
+
+function errorStatus(error) {
+  if (error.response && error.response.status) return error.response.status;
+  return typeof error.status === 'number' ? error.status : null;
+}
+
+function isAbortError(error) {
+  return error.name === 'AbortError' || error.name === 'CanceledError' || error.code === 'ERR_CANCELED';
+}
+
+function isRetryableError(error) {
+  if (!error || isAbortError(error)) return false;
+
+  const status = errorStatus(error);
+  if (status) return RETRYABLE_STATUSES.includes(status);
+
+  // Network errors may be wrapped, e.g. by fetch in error.cause
+  const codes = [error.code, error.cause && error.cause.code];
+  return codes.some(code => RETRYABLE_CODES.includes(code));
+}
+
+// Delay before the next attempt: the server's Retry-After if it sent one,
+// otherwise a random delay up to BASE_DELAY * 2^attempt
+function retryDelay(error, attempt) {
+  const retryAfter = responseHeader(error.response, 'retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const delay = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+    if (delay >= 0) return Math.min(delay, MAX_RETRY_AFTER);
+  }
+
+  return Math.round(Math.random() * Math.min(MAX_DELAY, BASE_DELAY * 2 ** attempt));
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(new CancelledError('Cancelled', { cause: signal.reason }));
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new CancelledError('Cancelled', { cause: signal.reason }));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Run fn(attempt) until it succeeds, a fatal error occurs or the retries run out.
+// onRetry({ error, attempt, retries, delay }) is called before waiting.
+// No attempt starts once `signal` is aborted, that rejects with a CancelledError.
+async function withRetry(fn, { retries = DEFAULT_RETRIES, signal, onRetry } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    if (signal && signal.aborted) {
+      throw new CancelledError('Cancelled', { cause: signal.reason });
+    }
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isRetryableError(error) || (signal && signal.aborted)) {
+        throw error;
+      }
+
+      const delay = retryDelay(error, attempt);
+      if (onRetry) {
+        onRetry({ error, attempt: attempt + 1, retries, delay });
+      }
+      await sleep(delay, signal);
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_RETRIES,
+  isRetryableError,
+  retryDelay,
+  withRetry
+};
@@ -0,0 +1,355 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const { NotConfiguredError } = require('./errors');
+
+// ==================== SECRET STORES ====================
+//
+// Credentials are kept as one JSON document, either in the OS secret store
+// (macOS Keychain, Windows Credential Manager, Secret Service via libsecret on Linux)
+// or in a file encrypted with a passphrase when no secret store is available.
+//
+// A store is { name, label, load(), prepare(), save(data) }:
+//   load()      resolves with the stored document ({} if there is none)
+//   prepare()   makes sure save() can run, e.g. asks for a new passphrase
+//   save(data)  writes the document synchronously, an empty document removes it
+//
+// Nothing is printed here, the library uses this module too: the passphrase is asked
+// through the askHidden() the caller passes in, and failures are NotConfiguredErrors.
+
+const SERVICE_NAME = 'pld-cli';
+const ACCOUNT_NAME = 'credentials';
+
+function run(command, args, input) {
+  return execFileSync(command, args, {
+    input: input,
+    encoding: 'utf8',
+    stdio: ['pipe', 'pipe', 'pipe'],
+    windowsHide: true
+  });
+}
+
+function isEmpty(data) {
+  return Object.keys(data).length === 0;
+}
+
+function parseDocument(text) {
+  return text && text.trim() ? JSON.parse(text) : {};
+}
+
+// ---- macOS Keychain ----
+
+// `security -i` reads commands from stdin, so the secret never shows up in the process list
+function quoteSecurityArg(value) {
+  return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+const macKeychain = {
+  name: 'keychain',
+  label: 'macOS Keychain',
+
+  available() {
+    return process.platform === 'darwin' && fs.existsSync('/usr/bin/security');
+  },
+
+  async load() {
+    try {
+      return parseDocument(run('security', ['find-generic-password', '-s', SERVICE_NAME, '-a', ACCOUNT_NAME, '-w']));
+    } catch (error) {
+      if (error.status === 44) return {}; // errSecItemNotFound
+      throw error;
+    }
+  },
+
+  async prepare() {},
+
+  save(data) {
+    if (isEmpty(data)) {
+      try {
+        run('security', ['delete-generic-password', '-s', SERVICE_NAME, '-a', ACCOUNT_NAME]);
+      } catch (error) {
+        // Nothing stored
+      }
+      return;
+    }
+    const secret = quoteSecurityArg(JSON.stringify(data));
+    run('security', ['-i'], `add-generic-password -U -s ${SERVICE_NAME} -a ${ACCOUNT_NAME} -w ${secret}\n`);
+  }
+};
+
+// ---- Secret Service (libsecret) ----
+
+const secretService = {
+  name: 'keychain',
+  label: 'Secret Service (libsecret)',
+
+  // secret-tool exits 1 both for "not found" and "no keyring", only the latter prints an error
+  available() {
+    if (process.platform !== 'linux' || !process.env.DBUS_SESSION_BUS_ADDRESS) return false;
+    try {
+      run('secret-tool', ['lookup', 'service', SERVICE_NAME, 'account', ACCOUNT_NAME]);
+      return true;
+    } catch (error) {
+      return error.status === 1 && !String(error.stderr || '').trim();
+    }
+  },
+
+  async load() {
+    try {
+      return parseDocument(run('secret-tool', ['lookup', 'service', SERVICE_NAME, 'account', ACCOUNT_NAME]));
+    } catch (error) {
+      if (error.status === 1 && !String(error.stderr || '').trim()) return {};
+      throw error;
+    }
+  },
+
+  async prepare() {},
+
+  save(data) {
+    if (isEmpty(data)) {
+      run('secret-tool', ['clear', 'service', SERVICE_NAME, 'account', ACCOUNT_NAME]);
+      return;
+    }
+    run('secret-tool', ['store', '--label=pld-cli credentials', 'service', SERVICE_NAME, 'account', ACCOUNT_NAME], JSON.stringify(data));
+  }
+};
+
+// ---- Windows Credential Manager ----
+
+// PowerShell has no built-in cmdlets for generic credentials, so call the Win32 API.
+// The secret is passed on stdin, the script as an encoded command.
+const CREDENTIAL_MANAGER_SCRIPT = `
+$ErrorActionPreference = 'Stop'
+Add-Type -TypeDefinition @'
+using System;
+using System.Runtime.InteropServices;
+using System.Text;
+public static class PldCredential {
+  [StructLayout(LayoutKind.Sequential, CharSet = CharSet.Unicode)]
+  struct CREDENTIAL {
+    public int Flags; public int Type; public string TargetName; public string Comment;
+    public System.Runtime.InteropServices.ComTypes.FILETIME LastWritten;
+    public int CredentialBlobSize; public IntPtr CredentialBlob; public int Persist;
+    public int AttributeCount; public IntPtr Attributes; public string TargetAlias; public string UserName;
+  }
+  [DllImport("advapi32.dll", CharSet = CharSet.Unicode, SetLastError = true)]
+  static extern bool CredReadW(string target, int type, int flags, out IntPtr credential);
+  [DllImport("advapi32.dll", CharSet = CharSet.Unicode, SetLastError = true)]
+  static extern bool CredWriteW(ref CREDENTIAL credential, int flags);
+  [DllImport("advapi32.dll", CharSet = CharSet.Unicode, SetLastError = true)]
+  static extern bool CredDeleteW(string target, int type, int flags);
+  [DllImport("advapi32.dll")]
+  static extern void CredFree(IntPtr credential);
+
+  public static string Read(string target) {
+    IntPtr pointer;
+    if (!CredReadW(target, 1, 0, out pointer)) return "";
+    try {
+      CREDENTIAL credential = (CREDENTIAL)Marshal.PtrToStructure(pointer, typeof(CREDENTIAL));
+      byte[] bytes = new byte[credential.CredentialBlobSize];
+      Marshal.Copy(credential.CredentialBlob, bytes, 0, bytes.Length);
+      return Encoding.UTF8.GetString(bytes);
+    } finally {
+      CredFree(pointer);
+    }
+  }
+
+  public static void Write(string target, string secret) {
+    byte[] bytes = Encoding.UTF8.GetBytes(secret);
+    CREDENTIAL credential = new CREDENTIAL();
+    credential.Type = 1;
+    credential.TargetName = target;
+    credential.UserName = "${ACCOUNT_NAME}";
+    credential.Persist = 2;
+    credential.CredentialBlobSize = bytes.Length;
+    credential.CredentialBlob = Marshal.AllocHGlobal(bytes.Length);
+    try {
+      Marshal.Copy(bytes, 0, credential.CredentialBlob, bytes.Length);
+      if (!CredWriteW(ref credential, 0)) throw new System.ComponentModel.Win32Exception();
+    } finally {
+      Marshal.FreeHGlobal(credential.CredentialBlob);
+    }
+  }
+
+  public static void Delete(string target) {
+    CredDeleteW(target, 1, 0);
+  }
+}
+'@
+`;
+
+function runCredentialManager(action, input) {
+  const script = CREDENTIAL_MANAGER_SCRIPT + {
+    read: `[Console]::Out.Write([PldCredential]::Read('${SERVICE_NAME}'))`,
+    write: `[PldCredential]::Write('${SERVICE_NAME}', [Console]::In.ReadToEnd())`,
+    delete: `[PldCredential]::Delete('${SERVICE_NAME}')`
+  }[action];
+
+  return run('powershell.exe', [
+    '-NoProfile',
+    '-NonInteractive',
+    '-EncodedCommand', Buffer.from(script, 'utf16le').toString('base64')
+  ], input || '');
+}
+
+const credentialManager = {
+  name: 'keychain',
+  label: 'Windows Credential Manager',
+
+  available() {
+    return process.platform === 'win32';
+  },
+
+  async load() {
+    return parseDocument(runCredentialManager('read'));
+  },
+
+  async prepare() {},
+
+  save(data) {
+    if (isEmpty(data)) {
+      runCredentialManager('delete');
+      return;
+    }
+    runCredentialManager('write', JSON.stringify(data));
+  }
+};
+
+// ---- Passphrase-encrypted file ----
+//
+// { version, kdf: "scrypt", salt, iv, tag, data } with base64 fields,
+// AES-256-GCM with a key derived from the passphrase.
+
+const SCRYPT_OPTIONS = { N: 32768, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+const PASSPHRASE_ATTEMPTS = 3;
+
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, salt, 32, SCRYPT_OPTIONS);
+}
+
+// Passphrase from PLD_PASSPHRASE, or asked on the terminal
+async function readPassphrase(askHidden, question) {
+  if (process.env.PLD_PASSPHRASE) {
+    return process.env.PLD_PASSPHRASE;
+  }
+  if (!process.stdin.isTTY) {
+    throw new NotConfiguredError('Credentials are encrypted with a passphrase, set PLD_PASSPHRASE to unlock them');
+  }
+  return askHidden(question);
+}
+
+function createFileStore(filePath, { askHidden, writePrivateFile }) {
+  let key = null;
+  let salt = null;
+
+  return {
+    name: 'file',
+    label: `passphrase-encrypted ${filePath}`,
+
+    available() {
+      return true;
+    },
+
+    async load() {
+      if (!fs.existsSync(filePath)) {
+        return {};
+      }
+
+      let stored;
+      try {
+        stored = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      } catch (error) {
+        throw new NotConfiguredError(`Cannot read ${filePath}: ${error.message}`, { cause: error });
+      }
+      const attempts = process.env.PLD_PASSPHRASE ? 1 : PASSPHRASE_ATTEMPTS;
+
+      let question = '🔐 Passphrase for stored credentials: ';
+      for (let attempt = 1; ; attempt++) {
+        const passphrase = await readPassphrase(askHidden, question);
+        const candidate = deriveKey(passphrase, Buffer.from(stored.salt, 'base64'));
+        try {
+          const decipher = crypto.createDecipheriv('aes-256-gcm', candidate, Buffer.from(stored.iv, 'base64'));
+          decipher.setAuthTag(Buffer.from(stored.tag, 'base64'));
+          const text = Buffer.concat([decipher.update(Buffer.from(stored.data, 'base64')), decipher.final()]).toString('utf8');
+          key = candidate;
+          salt = Buffer.from(stored.salt, 'base64');
+          return parseDocument(text);
+        } catch (error) {
+          if (attempt >= attempts) {
+            throw new NotConfiguredError('Wrong passphrase for stored credentials');
+          }
+          question = '🔐 Wrong passphrase, try again: ';
+        }
+      }
+    },
+
+    // First save: choose the passphrase
+    async prepare() {
+      if (key) return;
+
+      let passphrase = process.env.PLD_PASSPHRASE;
+      if (!passphrase) {
+        if (!process.stdin.isTTY) {
+          throw new NotConfiguredError('No OS secret store found, set PLD_PASSPHRASE to encrypt stored credentials');
+        }
+        let question = '🔐 Choose a passphrase to encrypt stored credentials: ';
+        for (;;) {
+          passphrase = await askHidden(question);
+          if (!passphrase) {
+            question = '🔐 The passphrase cannot be empty, choose one: ';
+            continue;
+          }
+          if (await askHidden('🔐 Repeat the passphrase: ') === passphrase) break;
+          question = '🔐 Passphrases do not match, choose one again: ';
+        }
+      }
+
+      salt = crypto.randomBytes(16);
+      key = deriveKey(passphrase, salt);
+    },
+
+    save(data) {
+      if (isEmpty(data)) {
+        if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+        return;
+      }
+      if (!key) {
+        throw new NotConfiguredError('Credential store is not unlocked');
+      }
+
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+      const encrypted = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+
+      writePrivateFile(filePath, JSON.stringify({
+        version: 1,
+        kdf: 'scrypt',
+        salt: salt.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: encrypted.toString('base64')
+      }, null, 2));
+    }
+  };
+}
+
+// Pick the store: the "credentialStore" setting ("keychain" or "file") or the first one available
+function openSecretStore(preference, fileOptions) {
+  const fileStore = createFileStore(fileOptions.filePath, fileOptions);
+  if (preference === 'file') {
+    return fileStore;
+  }
+
+  const keychain = [macKeychain, credentialManager, secretService].find(store => store.available());
+  if (keychain) {
+    return keychain;
+  }
+  if (preference === 'keychain') {
+    throw new NotConfiguredError('No OS secret store available on this system');
+  }
+  return fileStore;
+}
+
+module.exports = {
+  openSecretStore
+};
@@ -0,0 +1,329 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { CONFIG_DIR, writePrivateFile } = require('./config');
+const { formatFileSize } = require('./utils');
+
+const SERVE_TOKEN_FILE = path.join(CONFIG_DIR, 'serve-token');
+
+// Text fields of a multipart form and part headers are small, anything larger is refused
+const MAX_FIELD_SIZE = 64 * 1024;
+const MAX_PART_HEADER_SIZE = 16 * 1024;
+
+// ==================== HTTP API ====================
+//
+// `pld serve` answers JSON on localhost. Every request but GET /health needs the
+// token from ~/.pld/serve-token: "Authorization: Bearer <token>". The token is created
+// on the first start, so tools on the same machine can read it from there.
+
+// Thrown by route handlers, sent to the client as { error } with the status
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+function loadServeToken() {
+  try {
+    const token = fs.readFileSync(SERVE_TOKEN_FILE, 'utf8').trim();
+    if (token) return token;
+  } catch (error) {
+    // Created below
+  }
+  const token = crypto.randomBytes(24).toString('base64url');
+  writePrivateFile(SERVE_TOKEN_FILE, token + '\n');
+  return token;
+}
+
+function isAuthorized(req, token) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (!match) return false;
+  const given = Buffer.from(match[1].trim());
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function sendJson(res, status, body) {
+  const data = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(data),
+    'Cache-Control': 'no-store'
+  });
+  res.end(data);
+}
+
+function tooLarge(name, maxSize) {
+  return new HttpError(413, `${name} is over the ${formatFileSize(maxSize)} limit`);
+}
+
+// Stop writing a file that will not be used and remove what was written of it
+function discardOutput(output, filePath) {
+  output.destroy();
+  output.once('close', () => fs.rm(filePath, { force: true }, () => {}));
+}
+
+// Write a raw request body to a file, resolves with its size.
+// More than maxSize bytes (0 for no limit) rejects with 413 while they arrive.
+function receiveRaw(req, filePath, maxSize) {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(filePath, { mode: 0o600 });
+    let size = 0;
+    let refused = false;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (maxSize && size > maxSize && !refused) {
+        // The rest of the body is ignored, the server closes the connection after answering
+        refused = true;
+        req.unpipe(output);
+        req.resume();
+        discardOutput(output, filePath);
+        reject(tooLarge('Upload', maxSize));
+      }
+    });
+    req.on('close', () => {
+      if (!req.complete) reject(new HttpError(400, 'Upload interrupted'));
+    });
+    req.on('error', reject);
+    output.on('error', reject);
+    output.on('finish', () => resolve(size));
+    req.pipe(output);
+  });
+}
+
+// A parameter of a Content-Disposition header, filename*=UTF-8''... included
+function dispositionParameter(header, name) {
+  const extended = new RegExp(`;\\s*${name}\\*=(?:UTF-8'[^']*')?([^;]+)`, 'i').exec(header);
+  if (extended) {
+    try {
+      return decodeURIComponent(extended[1].trim());
+    } catch (error) {
+      // Malformed, fall back to the plain parameter
+    }
+  }
+  const quoted = new RegExp(`;\\s*${name}="((?:[^"\\\\]|\\\\.)*)"`, 'i').exec(header);
+  if (quoted) return quoted[1].replace(/\\(.)/g, '$1');
+  const plain = new RegExp(`;\\s*${name}=([^;\\s]+)`, 'i').exec(header);
+  return plain ? plain[1] : undefined;
+}
+
+// Write the first file of a multipart/form-data body to a file while it arrives.
+// Resolves with { name, size, fields }, fields holds the text fields. maxSize(fields)
+// is asked for the limit of the file with the fields sent before it (0 for none).
+function receiveMultipart(req, boundary, filePath, maxSize) {
+  return new Promise((resolve, reject) => {
+    const delimiter = Buffer.from(`\r\n--${boundary}`);
+    // The first delimiter has no line break before it
+    let buffer = Buffer.from('\r\n');
+    let state = 'body';
+    let part = null;
+    let file = null;
+    let output = null;
+    let failed = false;
+    const fields = {};
+
+    // The rest of the body is ignored, the server closes the connection after answering
+    const fail = (error) => {
+      if (failed) return;
+      failed = true;
+      req.resume();
+      if (output) discardOutput(output, filePath);
+      reject(error);
+    };
+
+    const writePart = (data) => {
+      if (!part || data.length === 0) return;
+      if (part.file) {
+        file.size += data.length;
+        if (file.maxSize && file.size > file.maxSize) {
+          throw tooLarge(file.name, file.maxSize);
+        }
+        if (!output.write(data)) {
+          req.pause();
+          output.once('drain', () => req.resume());
+        }
+      } else if (part.chunks) {
+        part.size += data.length;
+        if (part.size > MAX_FIELD_SIZE) {
+          throw new HttpError(413, `Form field ${part.name} is too large`);
+        }
+        part.chunks.push(data);
+      }
+    };
+
+    const startPart = (headers) => {
+      const disposition = (/^content-disposition:(.*)$/im.exec(headers) || [])[1] || '';
+      const name = dispositionParameter(disposition, 'name');
+      const filename = dispositionParameter(disposition, 'filename');
+
+      if (filename !== undefined && !file) {
+        // Browsers may send a full path, only the name is kept
+        file = { name: path.basename(filename.replace(/\\/g, '/')), size: 0, maxSize: maxSize ? maxSize(fields) : 0 };
+        output = fs.createWriteStream(filePath, { mode: 0o600 });
+        output.on('error', fail);
+        return { name, file: true };
+      }
+      // Further files are skipped
+      return filename === undefined && name ? { name, chunks: [], size: 0 } : {};
+    };
+
+    const consume = () => {
+      for (;;) {
+        if (state === 'body') {
+          const index = buffer.indexOf(delimiter);
+          if (index === -1) {
+            // Keep what could be the beginning of the next delimiter
+            const keep = Math.min(buffer.length, delimiter.length - 1);
+            writePart(buffer.subarray(0, buffer.length - keep));
+            buffer = buffer.subarray(buffer.length - keep);
+            return;
+          }
+          writePart(buffer.subarray(0, index));
+          if (part && part.chunks) {
+            fields[part.name] = Buffer.concat(part.chunks).toString('utf8');
+          }
+          part = null;
+          buffer = buffer.subarray(index + delimiter.length);
+          state = 'delimiter';
+        }
+
+        if (state === 'delimiter') {
+          if (buffer.length < 2) return;
+          if (buffer[0] === 0x2d && buffer[1] === 0x2d) {
+            state = 'done';
+            return;
+          }
+          const lineEnd = buffer.indexOf('\r\n');
+          if (lineEnd === -1) return;
+          buffer = buffer.subarray(lineEnd + 2);
+          state = 'headers';
+        }
+
+        if (state === 'headers') {
+          const end = buffer.indexOf('\r\n\r\n');
+          if (end === -1) {
+            if (buffer.length > MAX_PART_HEADER_SIZE) {
+              throw new HttpError(400, 'Malformed multipart body');
+            }
+            return;
+          }
+          part = startPart(buffer.subarray(0, end).toString('utf8'));
+          buffer = buffer.subarray(end + 4);
+          state = 'body';
+        }
+
+        if (state === 'done') return;
+      }
+    };
+
+    req.on('data', (chunk) => {
+      if (failed || state === 'done') return;
+      buffer = Buffer.concat([buffer, chunk]);
+      try {
+        consume();
+      } catch (error) {
+        fail(error);
+      }
+    });
+    req.on('close', () => {
+      if (!req.complete) fail(new HttpError(400, 'Upload interrupted'));
+    });
+    req.on('error', fail);
+    req.on('end', () => {
+      if (failed) return;
+      if (state !== 'done') {
+        return fail(new HttpError(400, 'Incomplete multipart body'));
+      }
+      if (!file) {
+        return fail(new HttpError(400, 'No file in the form, send it in a file field'));
+      }
+      output.end(() => resolve({ name: file.name, size: file.size, fields }));
+    });
+  });
+}
+
+// Store the body of an upload request in `filePath`: a multipart/form-data form
+// (the first file and the text fields) or the raw bytes of the file.
+// maxSize(fields) returns the largest file accepted, given the form fields sent before
+// it ({} for raw uploads), 0 for no limit. Larger files are refused with 413 as soon
+// as that many bytes have arrived, nothing of them is kept.
+// Resolves with { name, size, fields }, the name of raw uploads comes from the caller.
+async function receiveUpload(req, filePath, { maxSize } = {}) {
+  const contentType = req.headers['content-type'] || '';
+  if (/^multipart\/form-data/i.test(contentType)) {
+    const boundary = (/boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType) || []).slice(1).find(Boolean);
+    if (!boundary) {
+      throw new HttpError(400, 'Missing multipart boundary');
+    }
+    return receiveMultipart(req, boundary, filePath, maxSize);
+  }
+
+  const limit = maxSize ? maxSize({}) : 0;
+  if (limit && Number(req.headers['content-length']) > limit) {
+    throw tooLarge('Upload', limit);
+  }
+  const size = await receiveRaw(req, filePath, limit);
+  return { name: null, size, fields: {} };
+}
+
+// Start a JSON API server on host:port. Each route is { method, path (RegExp), public, handler },
+// handler(req, match, url) resolves with [status, body] or throws an HttpError.
+// Resolves with the listening server.
+function startApiServer({ host, port, token, routes, onRequest }) {
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const started = Date.now();
+    let status = 500;
+
+    try {
+      const matching = routes.map(route => ({ route, match: route.path.exec(url.pathname) }))
+        .filter(({ match }) => match);
+      if (matching.length === 0) {
+        throw new HttpError(404, 'Not found');
+      }
+      const found = matching.find(({ route }) => route.method === req.method);
+      if (!found) {
+        throw new HttpError(405, 'Method not allowed');
+      }
+      if (!found.route.public && !isAuthorized(req, token)) {
+        throw new HttpError(401, `Missing or wrong token, send "Authorization: Bearer <token>" with the token from ${SERVE_TOKEN_FILE}`);
+      }
+
+      const [resultStatus, body] = await found.route.handler(req, found.match, url);
+      status = resultStatus;
+      sendJson(res, status, body);
+    } catch (error) {
+      status = error instanceof HttpError ? error.status : 500;
+      if (!res.headersSent) {
+        sendJson(res, status, { error: error.message });
+      }
+      // Stop reading a body nobody wants
+      if (!req.complete) {
+        res.on('finish', () => req.destroy());
+      }
+    }
+
+    if (onRequest) {
+      onRequest({ method: req.method, path: url.pathname, status, duration: Date.now() - started });
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.removeListener('error', reject);
+      resolve(server);
+    });
+  });
+}
+
+module.exports = {
+  SERVE_TOKEN_FILE,
+  HttpError,
+  loadServeToken,
+  receiveUpload,
+  startApiServer
+};
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+const { CONFIG_DIR, ensureConfigDir, writePrivateFile } = require('./config');
+
+const SESSIONS_FILE = path.join(CONFIG_DIR, 'sessions.json');
+
+// ==================== RESUMABLE UPLOAD SESSIONS ====================
+//
+// Providers that support resumable uploads keep one entry per unfinished file:
+// { service, path, name, size, modifiedAt, sessionUri, offset, createdAt, updatedAt }
+// A session only matches the exact same file (path, size and modification time).
+
+function loadSessions() {
+  try {
+    if (fs.existsSync(SESSIONS_FILE)) {
+      return JSON.parse(fs.readFileSync(SESSIONS_FILE, 'utf8'));
+    }
+  } catch (error) {
+    // A broken sessions file only means uploads start over
+  }
+  return [];
+}
+
+function writeSessions(sessions) {
+  ensureConfigDir();
+  if (sessions.length === 0) {
+    if (fs.existsSync(SESSIONS_FILE)) fs.unlinkSync(SESSIONS_FILE);
+    return;
+  }
+  writePrivateFile(SESSIONS_FILE, JSON.stringify(sessions, null, 2));
+}
+
+// Unfinished session of a service for this exact file, if any
+function findSession(service, file) {
+  return loadSessions().find(session =>
+    session.service === service &&
+    session.path === file.path &&
+    session.size === file.size &&
+    session.modifiedAt === file.modifiedAt
+  ) || null;
+}
+
+// Insert or update the session of a service for a file path
+function saveSession(session) {
+  const sessions = loadSessions().filter(existing =>
+    !(existing.service === session.service && existing.path === session.path)
+  );
+  sessions.push({ ...session, updatedAt: new Date().toISOString() });
+  writeSessions(sessions);
+}
+
+function removeSession(service, filePath) {
+  const sessions = loadSessions();
+  const remaining = sessions.filter(session => !(session.service === service && session.path === filePath));
+  if (remaining.length !== sessions.length) {
+    writeSessions(remaining);
+  }
+}
+
+module.exports = {
+  SESSIONS_FILE,
+  loadSessions,
+  findSession,
+  saveSession,
+  removeSession
+};
@@ -0,0 +1,86 @@
+const { Transform } = require('stream');
+const { parseFileSize } = require('./utils');
+
+// ==================== BANDWIDTH LIMIT ====================
+
+// Chunks are sent in pieces this large, so slow limits do not come out as bursts
+const PIECE_SIZE = 16 * 1024;
+// How often the limit is asked for again while uploading (ms)
+const RATE_REFRESH_INTERVAL = 5000;
+
+// Parse a rate like "2M", "500K", "1.5MB/s" or "1048576" (bytes) into bytes per second.
+// 0 means no limit, null if it is not a rate.
+function parseRate(text) {
+  return parseFileSize(String(text).trim().replace(/\/s$/i, ''));
+}
+
+// Pacing shared by every stream of a command, so uploads running at the same time
+// stay under the limit together. getRate() returns bytes per second (0 for no limit)
+// and is called again every few seconds, the limit of a running upload can change.
+function createRateLimiter(getRate) {
+  let rate = getRate();
+  let checkedAt = Date.now();
+  // Time at which the next byte may go out
+  let nextSendAt = 0;
+
+  function currentRate() {
+    if (Date.now() - checkedAt >= RATE_REFRESH_INTERVAL) {
+      rate = getRate();
+      checkedAt = Date.now();
+    }
+    return rate;
+  }
+
+  return {
+    get rate() {
+      return currentRate();
+    },
+
+    // Resolves once `bytes` may be sent
+    take(bytes) {
+      const limit = currentRate();
+      if (!limit) return Promise.resolve();
+
+      const now = Date.now();
+      const sendAt = Math.max(nextSendAt, now);
+      nextSendAt = sendAt + (bytes * 1000) / limit;
+      return sendAt > now ? new Promise(resolve => setTimeout(resolve, sendAt - now)) : Promise.resolve();
+    }
+  };
+}
+
+// Transform stream passing data on no faster than the limiter allows
+function createThrottleStream(limiter) {
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      const pushPieces = async () => {
+        for (let offset = 0; offset < chunk.length; offset += PIECE_SIZE) {
+          const piece = chunk.subarray(offset, offset + PIECE_SIZE);
+          await limiter.take(piece.length);
+          this.push(piece);
+        }
+      };
+      pushPieces().then(() => callback(), callback);
+    }
+  });
+}
+
+// Throttle every stream an upload source creates, byte ranges of resumed uploads included
+function throttleSource(source, limiter) {
+  const createStream = source.createStream;
+
+  source.createStream = (range) => {
+    const stream = createStream(range);
+    const throttle = createThrottleStream(limiter);
+    stream.on('error', (error) => throttle.destroy(error));
+    return stream.pipe(throttle);
+  };
+  return source;
+}
+
+module.exports = {
+  parseRate,
+  createRateLimiter,
+  createThrottleStream,
+  throttleSource
+};
@@ -0,0 +1,415 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline, Transform } = require('stream');
+const { formatFileSize } = require('./utils');
+const { unlockCredentials } = require('./config');
+const { loadHistory, saveHistory, updateHistoryEntry, entrySize } = require('./history');
+const { ARCHIVE_FORMATS, listArchiveEntries, createArchiveStream } = require('./archive');
+const { ENCRYPTED_EXTENSION, generateKey, encryptedSize, createEncryptStream, appendKeyToLink } = require('./crypto');
+const { DEFAULT_RETRIES, withRetry } = require('./retry');
+const { trackContentHash, hashFile, compareChecksums } = require('./hash');
+const { throttleSource } = require('./throttle');
+const {
+  PldError,
+  NotConfiguredError,
+  UsageError,
+  SizeLimitError,
+  UploadError,
+  ChecksumMismatchError,
+  CancelledError
+} = require('./errors');
+const { getProvider, listProviders, getProviderCredentials } = require('./providers');
+
+// ==================== UPLOAD PIPELINE ====================
+//
+// Shared by the CLI and the library API: nothing here prints or exits,
+// problems are thrown (see ./errors.js).
+
+// Path that reads the upload from standard input (pld -s -)
+const STDIN_PATH = '-';
+
+// Provider for a service name or alias
+function findUploadProvider(serviceName) {
+  const provider = getProvider(serviceName);
+  if (!provider) {
+    const available = listProviders().map(item => item.aliases[0] || item.name).join(', ');
+    throw new UsageError(`Unknown service: ${serviceName} (available: ${available})`);
+  }
+  return provider;
+}
+
+// Stored credentials, anything that keeps them locked is a NotConfiguredError
+async function unlockStoredCredentials(options) {
+  try {
+    await unlockCredentials(options);
+  } catch (error) {
+    if (error instanceof NotConfiguredError) throw error;
+    throw new NotConfiguredError(error.message, { cause: error });
+  }
+}
+
+// Credentials of a provider, checked before touching the network
+async function loadProviderCredentials(provider) {
+  await unlockStoredCredentials();
+
+  const credentials = getProviderCredentials(provider);
+  try {
+    if (provider.validateCredentials) {
+      provider.validateCredentials(credentials);
+    }
+  } catch (error) {
+    throw new NotConfiguredError(error.message, { service: provider.name, cause: error });
+  }
+  return credentials;
+}
+
+// Describe a local file the way provider.upload() expects it
+function createUploadSource(absolutePath, archiveOptions = {}) {
+  const stats = fs.statSync(absolutePath);
+
+  if (stats.isDirectory()) {
+    return createDirectorySource(absolutePath, archiveOptions);
+  }
+
+  return {
+    path: absolutePath,
+    name: path.basename(absolutePath),
+    size: stats.size,
+    modifiedAt: stats.mtimeMs,
+    // Plain files can be re-read from any offset, so providers may resume them
+    resumable: true,
+    createStream: (range) => fs.createReadStream(absolutePath, range)
+  };
+}
+
+// Source for a path given by the user, missing files and empty folders are usage errors
+function openUploadSource(filePath, archiveOptions) {
+  const absolutePath = path.resolve(String(filePath));
+  if (!fs.existsSync(absolutePath)) {
+    throw new UsageError(`File not found: ${filePath}`);
+  }
+  try {
+    return createUploadSource(absolutePath, archiveOptions);
+  } catch (error) {
+    throw new UsageError(error.message, { cause: error });
+  }
+}
+
+// Standard input can only be read once, so it is never retried or resumed.
+// Its size is only known at the end, the size limit is enforced while reading.
+function createStdinSource(name, { provider, ignoreSizeLimit } = {}) {
+  const maxSize = ignoreSizeLimit ? null : provider.maxFileSize;
+  let consumed = false;
+
+  const source = {
+    path: null,
+    name: name,
+    size: null,
+    stdin: true,
+    replayable: false,
+    limitError: null,
+    createStream: () => {
+      if (consumed) {
+        throw new Error('Standard input can only be read once');
+      }
+      consumed = true;
+
+      let bytes = 0;
+      const counter = new Transform({
+        transform(chunk, encoding, callback) {
+          bytes += chunk.length;
+          if (maxSize && bytes > maxSize) {
+            const note = provider.maxFileSizeNote ? ` ${provider.maxFileSizeNote}` : '';
+            source.limitError = new SizeLimitError(`Input exceeds the ${formatFileSize(maxSize)} limit of ${provider.label}.${note}`, {
+              service: provider.name,
+              file: name,
+              size: bytes,
+              maxFileSize: maxSize
+            });
+            return callback(source.limitError);
+          }
+          callback(null, chunk);
+        },
+        flush(callback) {
+          source.size = bytes;
+          callback();
+        }
+      });
+
+      return pipeline(process.stdin, counter, () => {
+        // Errors are reported through the returned stream
+      });
+    }
+  };
+  return source;
+}
+
+// Directories are packed into an archive while uploading, so the size is
+// only known once the provider has read the whole stream
+function createDirectorySource(absolutePath, { format = 'zip', include, exclude, gitignore }) {
+  const entries = listArchiveEntries(absolutePath, { include, exclude, gitignore });
+  if (entries.length === 0) {
+    throw new Error(`No files to archive in ${absolutePath}`);
+  }
+
+  const contentSize = entries.reduce((sum, entry) => sum + fs.statSync(path.join(absolutePath, entry)).size, 0);
+
+  const source = {
+    path: absolutePath,
+    name: path.basename(absolutePath) + ARCHIVE_FORMATS[format].extension,
+    size: null,
+    archive: { format: format, fileCount: entries.length, contentSize: contentSize },
+    createStream: () => createArchiveStream(absolutePath, entries, format, (bytes) => {
+      source.size = bytes;
+    })
+  };
+  return source;
+}
+
+// Wrap a source so its content is encrypted on the way to the provider
+function encryptUploadSource(source, { separateKey }) {
+  const key = generateKey();
+  return {
+    path: source.path,
+    name: source.name + ENCRYPTED_EXTENSION,
+    // Directory archives only know their size once they have been streamed
+    get size() {
+      return source.size === null ? null : encryptedSize(source.size);
+    },
+    archive: source.archive,
+    replayable: source.replayable,
+    plainSource: source,
+    encryption: { key: key, separateKey: Boolean(separateKey) },
+    createStream: () => pipeline(source.createStream(), createEncryptStream(key), () => {
+      // Errors are reported through the returned stream
+    })
+  };
+}
+
+// Bytes a source sends, null while directory archives and standard input are unread
+function uploadSize(source, { encrypt } = {}) {
+  if (source.size === null) return null;
+  return encrypt ? encryptedSize(source.size) : source.size;
+}
+
+// SizeLimitError if a source is larger than the provider accepts on free accounts, else null
+function checkSizeLimit(provider, source, { encrypt } = {}) {
+  const size = uploadSize(source, { encrypt });
+  if (!provider.maxFileSize || size === null || size <= provider.maxFileSize) {
+    return null;
+  }
+  return new SizeLimitError(`${source.name} is larger than the ${formatFileSize(provider.maxFileSize)} limit of ${provider.label}`, {
+    service: provider.name,
+    file: source.name,
+    size: size,
+    maxFileSize: provider.maxFileSize
+  });
+}
+
+// What every upload goes through before it is sent: the size limit (unless
+// ignoreSizeLimit), an identical earlier upload whose link still works (dedupe,
+// never for encrypted or expiring uploads) and encryption.
+// Resolves with { source, duplicate }, nothing needs sending when duplicate is set.
+async function prepareUpload(provider, source, { dedupe, encrypt, separateKey, expireAfter, ignoreSizeLimit } = {}) {
+  encrypt = Boolean(encrypt || separateKey);
+
+  const limitError = ignoreSizeLimit ? null : checkSizeLimit(provider, source, { encrypt });
+  if (limitError) {
+    throw limitError;
+  }
+
+  if (dedupe && !encrypt && !expireAfter) {
+    const duplicate = await findDuplicateUpload(provider, source);
+    if (duplicate) {
+      return { source, duplicate };
+    }
+  }
+
+  return {
+    source: encrypt ? encryptUploadSource(source, { separateKey }) : source,
+    duplicate: null
+  };
+}
+
+// Upload one file through a provider and record it in history.
+// Transient failures start the upload again from a fresh stream (or resume it).
+async function sendFile(provider, credentials, source, { onProgress, signal, retries = DEFAULT_RETRIES, onRetry, expireAfter, limiter }) {
+  trackContentHash(source);
+  if (limiter) {
+    throttleSource(source, limiter);
+  }
+  // Recipients of encrypted uploads check the decrypted file, so its hash is kept too
+  if (source.plainSource) {
+    trackContentHash(source.plainSource, ['sha256']);
+  }
+
+  const result = await withRetry(() => provider.upload(source, {
+    credentials: credentials,
+    onProgress: onProgress,
+    signal: signal
+  }), { retries: source.replayable === false ? 0 : retries, signal, onRetry });
+
+  const historyEntry = {
+    service: provider.name,
+    timestamp: new Date().toISOString(),
+    filename: source.name,
+    fileSize: source.size === null ? 'Unknown' : formatFileSize(source.size),
+    size: source.size,
+    fileId: result.fileId,
+    downloadLink: result.downloadLink
+  };
+  // Lets `pld check` upload the file again once the link expired
+  if (source.path && !source.stdin) {
+    historyEntry.path = source.path;
+  }
+  if (result.meta) {
+    historyEntry.meta = result.meta;
+  }
+
+  // Hashes of the bytes sent, unknown when a resumed upload skipped some of them
+  if (source.hashes) {
+    historyEntry.sha256 = source.hashes.sha256;
+    historyEntry.md5 = source.hashes.md5;
+  }
+  if (source.plainSource && source.plainSource.hash) {
+    historyEntry.contentSha256 = source.plainSource.hash;
+  }
+  const verified = compareChecksums(source.hashes, result.checksums);
+  if (verified !== null) {
+    historyEntry.verified = verified;
+  }
+
+  // `pld prune` deletes the upload after this time, services with their own
+  // expiry (Gofile) are told as well so the link dies even if prune never runs
+  if (expireAfter) {
+    historyEntry.expiresAt = new Date(Date.now() + expireAfter).toISOString();
+    if (provider.setExpiry) {
+      try {
+        await withRetry(() => provider.setExpiry(historyEntry, new Date(historyEntry.expiresAt), { credentials }), { signal });
+        historyEntry.nativeExpiry = true;
+      } catch (error) {
+        historyEntry.nativeExpiry = false;
+      }
+    }
+  }
+
+  // The key travels in the link fragment unless it is shared separately,
+  // in which case it is never written anywhere
+  if (source.encryption) {
+    historyEntry.encrypted = true;
+    if (!source.encryption.separateKey) {
+      historyEntry.downloadLink = appendKeyToLink(result.downloadLink, source.encryption.key);
+    }
+  }
+
+  const savedEntry = await saveHistory(historyEntry);
+  // The upload is kept in history so the broken copy can be found and deleted
+  if (verified === false) {
+    throw new ChecksumMismatchError(`${provider.label} stored different content than was sent (checksum mismatch). ` +
+      'Delete it with pld rm and upload the file again.', { service: provider.name, entry: savedEntry });
+  }
+  return savedEntry;
+}
+
+// One-line reason for a failed upload, used in the multi-file summary
+function summarizeUploadError(error) {
+  if (error.response) {
+    const data = error.response.data;
+    const message = (data && (data.message || (data.error && data.error.message))) || error.response.statusText;
+    return message ? `${error.response.status} ${message}` : `Server Error: ${error.response.status}`;
+  }
+  return error.message;
+}
+
+// What a provider threw as an error of ./errors.js, the original is kept as `cause`
+function toUploadError(error, provider, signal) {
+  if (error instanceof PldError) return error;
+  if ((signal && signal.aborted) || error.name === 'AbortError' || error.name === 'CanceledError') {
+    return new CancelledError('Upload cancelled', { cause: error });
+  }
+  return new UploadError(summarizeUploadError(error), {
+    service: provider.name,
+    status: error.response ? error.response.status : null,
+    resumable: error.resumable,
+    cause: error
+  });
+}
+
+// The file is already gone from the service, which is what we wanted
+function isNotFoundError(error) {
+  if (error.response && [404, 410].includes(error.response.status)) return true;
+  return /notFound/i.test(error.message); // Gofile reports it in the body
+}
+
+// Ask the service whether an upload is still there: { status, reason? }
+async function probeUpload(entry) {
+  const provider = getProvider(entry.service || 'pixeldrain');
+  if (!provider || !provider.info) {
+    return { status: 'unknown', reason: `${provider ? provider.label : entry.service} cannot check files` };
+  }
+
+  const credentials = getProviderCredentials(provider);
+  try {
+    const info = await withRetry(() => provider.info(entry, { credentials }));
+    // Google Drive keeps trashed files until the trash is emptied
+    if (info.raw && info.raw.trashed) {
+      return { status: 'removed' };
+    }
+    return { status: 'alive' };
+  } catch (error) {
+    if (isNotFoundError(error)) {
+      return { status: provider.expiresFiles ? 'expired' : 'removed' };
+    }
+    const status = error.response && error.response.status;
+    if (status === 401 || status === 403 || /token|api key|not configured/i.test(error.message)) {
+      return { status: 'auth-required', reason: summarizeUploadError(error) };
+    }
+    return { status: 'unknown', reason: summarizeUploadError(error) };
+  }
+}
+
+// A past upload of the same content to the same service whose link still works, or null.
+// Only plain files are looked up: encrypted uploads differ every time, archives and
+// standard input can only be hashed while they are sent. Uploads with an expiry are
+// never reused, the link would die under the new share.
+async function findDuplicateUpload(provider, source) {
+  if (!source.resumable || source.encryption) return null;
+
+  const candidates = loadHistory().filter(entry => (entry.service || 'pixeldrain') === provider.name &&
+    entry.sha256 && entrySize(entry) === source.size && !entry.encrypted &&
+    !entry.deletedAt && !entry.replacedBy && !entry.expiresAt);
+  // Same size is cheap to check, multi-GB files are only hashed when it could pay off
+  if (candidates.length === 0) return null;
+
+  const { sha256 } = await hashFile(source.path, ['sha256']);
+  for (const entry of candidates.filter(item => item.sha256 === sha256)) {
+    const { status } = await probeUpload(entry);
+    if (status !== 'unknown') {
+      await updateHistoryEntry(entry.id, { status, checkedAt: new Date().toISOString() });
+    }
+    if (status === 'alive') {
+      return entry;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  STDIN_PATH,
+  findUploadProvider,
+  unlockStoredCredentials,
+  loadProviderCredentials,
+  createUploadSource,
+  openUploadSource,
+  createStdinSource,
+  encryptUploadSource,
+  uploadSize,
+  checkSizeLimit,
+  prepareUpload,
+  sendFile,
+  summarizeUploadError,
+  toUploadError,
+  isNotFoundError,
+  probeUpload,
+  findDuplicateUpload
+};
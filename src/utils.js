@@ -0,0 +1,71 @@
+// ==================== UTILITY FUNCTIONS ====================
+
+// Format file size
+function formatFileSize(bytes) {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
+}
+
+// Parse a size like "10MB", "1.5 GB" or "2048" (bytes) back into bytes, null if it is not one
+function parseFileSize(text) {
+  const match = String(text).trim().match(/^(\d+(?:\.\d+)?)\s*(bytes?|b|kb?|mb?|gb?|tb?)?$/i);
+  if (!match) return null;
+
+  const units = { b: 0, k: 1, m: 2, g: 3, t: 4 };
+  const unit = (match[2] || 'b').toLowerCase();
+  const power = unit.startsWith('byte') ? 0 : units[unit[0]];
+  return Math.round(Number(match[1]) * Math.pow(1024, power));
+}
+
+// Parse a duration like "30m", "12h", "7d" or "2w" into milliseconds, null if it is not one
+function parseDuration(text) {
+  const match = String(text).trim().match(/^(\d+)\s*([mhdw])$/i);
+  if (!match) return null;
+
+  const minutes = { m: 1, h: 60, d: 24 * 60, w: 7 * 24 * 60 }[match[2].toLowerCase()];
+  return Number(match[1]) * minutes * 60 * 1000;
+}
+
+// Format timestamp
+function formatTimestamp(isoString) {
+  const date = new Date(isoString);
+  return date.toLocaleString('vi-VN', {
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
+// Run an async worker over items with at most `limit` running at once.
+// Resolves with one { status, value | reason } per item, in input order.
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+      } catch (error) {
+        results[index] = { status: 'rejected', reason: error };
+      }
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+module.exports = {
+  formatFileSize,
+  parseFileSize,
+  parseDuration,
+  formatTimestamp,
+  runWithConcurrency
+};
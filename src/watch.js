@@ -0,0 +1,175 @@
+const fs = require('fs');
+const path = require('path');
+const fg = require('fast-glob');
+const { CONFIG_DIR, writePrivateFile } = require('./config');
+
+const WATCH_STATE_FILE = path.join(CONFIG_DIR, 'watch-state.json');
+
+// Files still being written by browsers and editors, never uploaded
+const TEMPORARY_FILE_PATTERNS = ['**/*.tmp', '**/*.part', '**/*.crdownload', '**/*.download', '**/~$*'];
+
+// How often the folder is listed (ms)
+const SCAN_INTERVAL = 1000;
+
+// ==================== FOLDER WATCHING ====================
+//
+// `pld watch` remembers the files it has handled in watch-state.json:
+// { [absolute folder]: { [relative path]: { size, modifiedAt, uploadedAt?, downloadLink?, seenAt? } } }
+// A file counts as handled while its size and modification time match, so nothing
+// is sent twice after a restart. `seenAt` marks files that were already in the
+// folder the first time it was watched and were left alone.
+
+function loadWatchStates() {
+  try {
+    if (fs.existsSync(WATCH_STATE_FILE)) {
+      return JSON.parse(fs.readFileSync(WATCH_STATE_FILE, 'utf8'));
+    }
+  } catch (error) {
+    // A broken state file only means files may be offered again
+  }
+  return {};
+}
+
+// Replace the records of one folder, other watched folders are kept
+function saveWatchState(dir, records) {
+  const states = loadWatchStates();
+  states[dir] = records;
+  writePrivateFile(WATCH_STATE_FILE, JSON.stringify(states, null, 2));
+}
+
+function isHandled(records, file) {
+  const record = records[file.relativePath];
+  return Boolean(record) && record.size === file.size && record.modifiedAt === file.modifiedAt;
+}
+
+// Files of a folder as { relativePath, path, size, modifiedAt }, paths use forward slashes.
+// Patterns without a slash match the file name in any subfolder ("*.png").
+function scanFolder(dir, { include, exclude, recursive, skipDirs }) {
+  const ignore = TEMPORARY_FILE_PATTERNS.concat(exclude || []);
+  for (const skipDir of skipDirs || []) {
+    const relative = path.relative(dir, skipDir).replace(/\\/g, '/');
+    if (relative && !relative.startsWith('..') && !path.isAbsolute(relative)) {
+      ignore.push(`${relative}/**`);
+    }
+  }
+
+  const entries = fg.sync(include && include.length > 0 ? include : ['**/*'], {
+    cwd: dir,
+    dot: false,
+    onlyFiles: true,
+    followSymbolicLinks: false,
+    deep: recursive ? Infinity : 1,
+    baseNameMatch: true,
+    ignore: ignore,
+    stats: true
+  });
+
+  return entries.map(entry => ({
+    relativePath: entry.path,
+    path: path.join(dir, entry.path),
+    size: entry.stats.size,
+    modifiedAt: entry.stats.mtime.toISOString()
+  }));
+}
+
+// Watch a folder and hand every new or changed file to onReady(file) once its size
+// and modification time have not changed for `settle` ms. Files are handed over one
+// at a time. A file is recorded as handled when the promise of onReady resolves
+// (with { downloadLink }); after a rejection it is only offered again once it changes.
+// Resolving with null means the file was gone, it is offered again if it comes back.
+// The first time a folder is watched, the files already in it are left alone unless
+// `existing` is set. Returns { stop() }.
+function watchFolder(dir, { include, exclude, recursive, skipDirs, settle, existing, onReady, onError }) {
+  const states = loadWatchStates();
+  const firstRun = !states[dir];
+  const records = states[dir] || {};
+  // Files waiting to settle: relative path -> { size, modifiedAt, since }
+  const changing = new Map();
+  // Files onReady rejected: relative path -> "size:modifiedAt"
+  const failed = new Map();
+  const queue = [];
+  let busy = false;
+  let stopped = false;
+
+  const signature = file => `${file.size}:${file.modifiedAt}`;
+
+  const scan = (initial) => {
+    let files;
+    try {
+      files = scanFolder(dir, { include, exclude, recursive, skipDirs });
+    } catch (error) {
+      if (onError) onError(error);
+      return;
+    }
+    const now = Date.now();
+
+    if (initial) {
+      // Forget files that were moved or deleted since the last run
+      const present = new Set(files.map(file => file.relativePath));
+      for (const relativePath of Object.keys(records)) {
+        if (!present.has(relativePath)) delete records[relativePath];
+      }
+      if (firstRun && !existing) {
+        for (const file of files) {
+          records[file.relativePath] = { size: file.size, modifiedAt: file.modifiedAt, seenAt: new Date().toISOString() };
+        }
+      }
+      saveWatchState(dir, records);
+    }
+
+    for (const file of files) {
+      if (isHandled(records, file) || failed.get(file.relativePath) === signature(file)) continue;
+      if (queue.some(item => item.relativePath === file.relativePath)) continue;
+
+      const previous = changing.get(file.relativePath);
+      if (!previous || previous.size !== file.size || previous.modifiedAt !== file.modifiedAt) {
+        changing.set(file.relativePath, { size: file.size, modifiedAt: file.modifiedAt, since: now });
+      } else if (now - previous.since >= settle) {
+        changing.delete(file.relativePath);
+        queue.push(file);
+      }
+    }
+    processQueue();
+  };
+
+  const processQueue = async () => {
+    if (busy || stopped) return;
+    busy = true;
+    while (queue.length > 0 && !stopped) {
+      const file = queue.shift();
+      try {
+        const result = await onReady(file);
+        failed.delete(file.relativePath);
+        if (result === null) continue;
+        records[file.relativePath] = {
+          size: file.size,
+          modifiedAt: file.modifiedAt,
+          uploadedAt: new Date().toISOString(),
+          downloadLink: result && result.downloadLink
+        };
+        saveWatchState(dir, records);
+      } catch (error) {
+        failed.set(file.relativePath, signature(file));
+      }
+    }
+    busy = false;
+  };
+
+  scan(true);
+  const timer = setInterval(() => scan(false), SCAN_INTERVAL);
+
+  return {
+    get busy() {
+      return busy;
+    },
+    stop() {
+      stopped = true;
+      clearInterval(timer);
+    }
+  };
+}
+
+module.exports = {
+  WATCH_STATE_FILE,
+  watchFolder
+};
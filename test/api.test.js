@@ -0,0 +1,185 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Settings, history and plugins of these tests live in a throwaway config directory
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pld-test-'));
+process.env.PLD_CONFIG_DIR = configDir;
+fs.mkdirSync(path.join(configDir, 'plugins'));
+
+// Keeps uploads in memory, names starting with "fail" are refused by the "server"
+fs.writeFileSync(path.join(configDir, 'plugins', 'memory.js'), `
+const stored = new Map();
+module.exports = {
+  name: 'memory',
+  label: 'Memory',
+  aliases: ['mem'],
+  maxFileSize: 100,
+  async upload(file) {
+    const chunks = [];
+    for await (const chunk of file.createStream()) chunks.push(chunk);
+    if (file.name.startsWith('fail')) {
+      const error = new Error('Request failed with status code 400');
+      error.response = { status: 400, data: { message: 'Bad file' } };
+      throw error;
+    }
+    stored.set(file.name, Buffer.concat(chunks));
+    return { fileId: file.name, downloadLink: 'https://memory.test/' + file.name };
+  },
+  async info(entry) {
+    if (!stored.has(entry.fileId)) {
+      const error = new Error('Not found');
+      error.response = { status: 404 };
+      throw error;
+    }
+    return { name: entry.fileId, size: stored.get(entry.fileId).length, raw: {} };
+  }
+};
+`);
+fs.writeFileSync(path.join(configDir, 'plugins', 'locked.js'), `
+module.exports = {
+  name: 'locked',
+  label: 'Locked',
+  validateCredentials() { throw new Error('Locked has no API key configured'); },
+  async upload() { throw new Error('never called'); }
+};
+`);
+
+const pld = require('..');
+
+const filesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pld-files-'));
+function createFile(name, content) {
+  const filePath = path.join(filesDir, name);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+test.after(() => {
+  fs.rmSync(configDir, { recursive: true, force: true });
+  fs.rmSync(filesDir, { recursive: true, force: true });
+});
+
+test('upload resolves with the link and records it in history', async () => {
+  const file = createFile('notes.txt', 'hello');
+  const result = await pld.upload(file, { service: 'mem' });
+
+  assert.equal(result.service, 'memory');
+  assert.equal(result.link, 'https://memory.test/notes.txt');
+  assert.equal(result.size, 5);
+  assert.equal(result.reused, false);
+  assert.match(result.hash, /^[0-9a-f]{64}$/);
+  assert.equal(pld.getHistory({ service: 'mem' })[0].id, result.id);
+
+  const again = await pld.upload(file, { service: 'memory', dedupe: true });
+  assert.equal(again.reused, true);
+  assert.equal(again.id, result.id);
+});
+
+test('bad input is a UsageError', async () => {
+  await assert.rejects(pld.upload(createFile('a.txt', 'a'), { service: 'nowhere' }),
+    (error) => error instanceof pld.UsageError && error.code === 'EUSAGE' && error.exitCode === 3);
+  await assert.rejects(pld.upload(path.join(filesDir, 'missing.txt'), { service: 'mem' }),
+    (error) => error instanceof pld.UsageError && /File not found/.test(error.message));
+  await assert.rejects(pld.upload(createFile('b.txt', 'b'), { service: 'mem', expire: 'soon' }), pld.UsageError);
+  assert.throws(() => pld.getHistory({ since: 'yesterday-ish' }), pld.UsageError);
+});
+
+test('missing credentials are a NotConfiguredError naming the service', async () => {
+  await assert.rejects(pld.upload(createFile('c.txt', 'c'), { service: 'locked' }), (error) => {
+    assert.ok(error instanceof pld.NotConfiguredError);
+    assert.equal(error.service, 'locked');
+    assert.equal(error.exitCode, 4);
+    return true;
+  });
+});
+
+test('files over the size limit need ignoreSizeLimit', async () => {
+  const file = createFile('large.bin', Buffer.alloc(150));
+  await assert.rejects(pld.upload(file, { service: 'mem' }), (error) => {
+    assert.ok(error instanceof pld.SizeLimitError);
+    assert.equal(error.file, 'large.bin');
+    assert.equal(error.size, 150);
+    assert.equal(error.maxFileSize, 100);
+    return true;
+  });
+  const result = await pld.upload(file, { service: 'mem', ignoreSizeLimit: true });
+  assert.equal(result.size, 150);
+});
+
+test('refused uploads are an UploadError with the HTTP status and the original error', async () => {
+  await assert.rejects(pld.upload(createFile('fail.txt', 'x'), { service: 'mem', retries: 0 }), (error) => {
+    assert.ok(error instanceof pld.UploadError);
+    assert.equal(error.code, 'EUPLOAD');
+    assert.equal(error.status, 400);
+    assert.equal(error.message, '400 Bad file');
+    assert.equal(error.cause.response.status, 400);
+    return true;
+  });
+});
+
+test('warnings are process warnings, not console output', async () => {
+  fs.appendFileSync(path.join(configDir, 'history.jsonl'), '{ damaged\n');
+  const warnings = [];
+  const onWarning = (warning) => warnings.push(warning);
+  const printed = [];
+  const originalLog = console.log;
+  const originalError = console.error;
+
+  process.on('warning', onWarning);
+  console.log = console.error = (...args) => printed.push(args);
+  try {
+    assert.ok(pld.getHistory().length > 0);
+    await new Promise(resolve => setImmediate(resolve));
+  } finally {
+    console.log = originalLog;
+    console.error = originalError;
+    process.removeListener('warning', onWarning);
+  }
+  // Node prints process warnings itself, pld's own "⚠ Warning:" lines must not appear
+  assert.ok(!printed.some(args => String(args[0]).includes('⚠')));
+  assert.ok(warnings.some(warning => warning.name === 'PldWarning' && /damaged line/.test(warning.message)));
+});
+
+test('an aborted signal rejects with a CancelledError before anything is sent', async () => {
+  const before = pld.getHistory().length;
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(pld.upload(createFile('never.txt', 'x'), { service: 'mem', signal: controller.signal }), (error) => {
+    assert.ok(error instanceof pld.CancelledError);
+    assert.equal(error.exitCode, 130);
+    return true;
+  });
+  assert.equal(pld.getHistory().length, before);
+});
+
+test('hooks confirm the size limit and follow the upload', async () => {
+  const file = createFile('big.bin', Buffer.alloc(120));
+  const asked = [];
+  const declined = pld.upload(file, {
+    service: 'mem',
+    confirmSizeLimit: async (error) => {
+      asked.push(error.size);
+      return false;
+    }
+  });
+  await assert.rejects(declined, pld.CancelledError);
+  assert.deepEqual(asked, [120]);
+
+  const started = [];
+  const result = await pld.upload(file, {
+    service: 'mem',
+    limitRate: pld.createRateLimit('1M'),
+    confirmSizeLimit: async () => true,
+    onStart: (info) => started.push(info)
+  });
+  assert.deepEqual(started, [{ service: 'memory', file: 'big.bin', size: 120, encrypted: false, archive: null, stdin: false }]);
+  assert.equal(result.entry.id, result.id);
+
+  assert.throws(() => pld.checkUploadOptions({ service: 'mem', limitRate: 'fast' }), (error) => {
+    assert.ok(error instanceof pld.UsageError);
+    assert.match(error.hint, /bytes per second/);
+    return true;
+  });
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The CLI runs in a child process with its own throwaway config directory
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pld-test-'));
+process.env.PLD_CONFIG_DIR = configDir;
+fs.mkdirSync(path.join(configDir, 'plugins'));
+const deletedFile = path.join(configDir, 'deleted.txt');
+
+// Writes the file id of every deleted upload to deleted.txt
+fs.writeFileSync(path.join(configDir, 'plugins', 'memory.js'), `
+const fs = require('fs');
+module.exports = {
+  name: 'memory',
+  label: 'Memory',
+  aliases: ['mem'],
+  async upload() {
+    throw new Error('Not used');
+  },
+  async delete(entry) {
+    fs.appendFileSync(${JSON.stringify(deletedFile)}, entry.fileId + '\\n');
+  }
+};
+`);
+
+const { loadHistory, saveHistory } = require('../src/history');
+
+function pld(...args) {
+  return execFileSync(process.execPath, [path.join(__dirname, '..', 'index.js'), ...args], {
+    env: { ...process.env, NO_COLOR: '1', FORCE_COLOR: '0' },
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+    timeout: 30000
+  });
+}
+
+test.after(() => fs.rmSync(configDir, { recursive: true, force: true }));
+
+test('history numbers stay the same in a filtered view and pick the upload for rm', async () => {
+  const uploads = [
+    ['memory', 'first.txt', '2026-09-01T10:00:00.000Z'],
+    ['pixeldrain', 'second.txt', '2026-09-02T10:00:00.000Z'],
+    ['memory', 'third.txt', '2026-09-03T10:00:00.000Z'],
+    ['pixeldrain', 'fourth.txt', '2026-09-04T10:00:00.000Z']
+  ];
+  for (const [service, filename, timestamp] of uploads) {
+    await saveHistory({ service, filename, timestamp, fileId: filename, downloadLink: 'https://memory.test/' + filename, fileSize: '1 B' });
+  }
+
+  const listing = pld('history', '--service', 'memory');
+  const numbers = Object.fromEntries(Array.from(listing.matchAll(/^(\d+)\. .*?(\S+\.txt)/gm), match => [match[2], match[1]]));
+  assert.deepEqual(numbers, { 'third.txt': '2', 'first.txt': '4' });
+
+  pld('rm', numbers['first.txt'], '--yes');
+  assert.equal(fs.readFileSync(deletedFile, 'utf8'), 'first.txt\n');
+  const deleted = loadHistory().filter(entry => entry.deletedAt).map(entry => entry.filename);
+  assert.deepEqual(deleted, ['first.txt']);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const {
+  generateKey,
+  encryptedSize,
+  createEncryptStream,
+  createDecryptStream,
+  parseKeyFromLink,
+  appendKeyToLink
+} = require('../src/crypto');
+
+// Run data through a transform stream, resolves with everything it produced
+async function collect(stream, data, pieceSize = 1000) {
+  const pieces = [];
+  for (let offset = 0; offset < data.length; offset += pieceSize) {
+    pieces.push(data.subarray(offset, offset + pieceSize));
+  }
+  const output = [];
+  await pipeline(Readable.from(pieces), stream, async (source) => {
+    for await (const chunk of source) output.push(chunk);
+  });
+  return Buffer.concat(output);
+}
+
+test('encrypted chunks decrypt to the original bytes', async () => {
+  const key = generateKey();
+  for (const size of [0, 1, 4096, 4097, 3 * 4096]) {
+    const plaintext = crypto.randomBytes(size);
+    const encrypted = await collect(createEncryptStream(key, 4096), plaintext);
+    assert.equal(encrypted.length, encryptedSize(size, 4096));
+    assert.deepEqual(await collect(createDecryptStream(key), encrypted, 777), plaintext);
+  }
+});
+
+test('a truncated file fails instead of decrypting a shorter one', async () => {
+  const key = generateKey();
+  const encrypted = await collect(createEncryptStream(key, 4096), crypto.randomBytes(3 * 4096));
+  // Cut exactly after a full chunk, the last chunk left looks complete but is not marked final
+  const truncated = encrypted.subarray(0, encrypted.length - (4096 + 16));
+  await assert.rejects(collect(createDecryptStream(key), truncated), /wrong key or corrupted/);
+  await assert.rejects(collect(createDecryptStream(key), encrypted.subarray(0, 20)), /Truncated|wrong key or corrupted/);
+});
+
+test('a wrong key or changed byte is detected', async () => {
+  const key = generateKey();
+  const encrypted = await collect(createEncryptStream(key, 4096), Buffer.from('secret content'));
+  await assert.rejects(collect(createDecryptStream(generateKey()), encrypted), /wrong key or corrupted/);
+
+  const tampered = Buffer.from(encrypted);
+  tampered[tampered.length - 20] ^= 1;
+  await assert.rejects(collect(createDecryptStream(key), tampered), /wrong key or corrupted/);
+  await assert.rejects(collect(createDecryptStream(key), Buffer.from('not encrypted at all')), /Not a pld encrypted file/);
+});
+
+test('keys travel in the link fragment', () => {
+  const link = appendKeyToLink('https://pixeldrain.com/u/abc', 'KEY');
+  assert.deepEqual(parseKeyFromLink(link), { link: 'https://pixeldrain.com/u/abc', key: 'KEY' });
+  assert.deepEqual(parseKeyFromLink('https://pixeldrain.com/u/abc'), { link: 'https://pixeldrain.com/u/abc', key: null });
+});
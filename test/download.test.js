@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { safeFileName, fileNameFromResponse } = require('../src/download');
+
+function response(disposition) {
+  return { headers: { 'content-disposition': disposition } };
+}
+
+test('server file names cannot leave the current directory', () => {
+  assert.equal(fileNameFromResponse(response('attachment; filename="../../.bashrc"')), '.bashrc');
+  assert.equal(fileNameFromResponse(response("attachment; filename*=UTF-8''%2Fetc%2Fpasswd")), 'passwd');
+  assert.equal(fileNameFromResponse(response('attachment; filename="..\\\\..\\\\evil.exe"')), 'evil.exe');
+  assert.equal(fileNameFromResponse(response('attachment; filename=".."')), null);
+  assert.equal(fileNameFromResponse(response('attachment; filename="dir/"')), 'dir');
+});
+
+test('plain names are kept', () => {
+  assert.equal(fileNameFromResponse(response("attachment; filename*=UTF-8''r%C3%A9sum%C3%A9.pdf")), 'résumé.pdf');
+  assert.equal(fileNameFromResponse(response('attachment; filename="report 2026.zip"')), 'report 2026.zip');
+  assert.equal(fileNameFromResponse({ headers: {} }), null);
+  assert.equal(safeFileName('.'), null);
+  assert.equal(safeFileName(''), null);
+  assert.equal(safeFileName(null), null);
+});
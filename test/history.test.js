@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pld-test-'));
+process.env.PLD_CONFIG_DIR = configDir;
+
+const {
+  HISTORY_FILE,
+  withHistoryLock,
+  loadHistory,
+  saveHistory,
+  removeHistoryEntries,
+  updateHistoryEntry,
+  compactHistory,
+  exportHistory
+} = require('../src/history');
+
+const LOCK_FILE = path.join(configDir, 'history.lock');
+
+function upload(filename) {
+  return { service: 'pixeldrain', timestamp: new Date().toISOString(), filename, fileSize: '1 KB', fileId: filename, downloadLink: `https://pixeldrain.com/u/${filename}` };
+}
+
+function lines() {
+  return fs.readFileSync(HISTORY_FILE, 'utf8').split('\n').filter(Boolean);
+}
+
+function reset() {
+  fs.rmSync(HISTORY_FILE, { force: true });
+  delete process.env.PLD_HISTORY_MAX_ENTRIES;
+}
+
+test.after(() => fs.rmSync(configDir, { recursive: true, force: true }));
+
+test('deletes and updates are appended and replayed in order', async () => {
+  reset();
+  const first = await saveHistory(upload('a.zip'));
+  const second = await saveHistory(upload('b.zip'));
+  await updateHistoryEntry(first.id, { status: 'expired' });
+  await removeHistoryEntries([second.id]);
+  await updateHistoryEntry(second.id, { status: 'alive' });
+
+  assert.equal(lines().length, 5);
+  const history = loadHistory();
+  assert.deepEqual(history.map(entry => entry.filename), ['a.zip']);
+  assert.equal(history[0].status, 'expired');
+
+  assert.deepEqual(await compactHistory(), { entries: 1, removed: 4 });
+  assert.deepEqual(lines().map(line => JSON.parse(line).filename), ['a.zip']);
+  assert.equal(loadHistory()[0].status, 'expired');
+});
+
+test('damaged lines are skipped, then moved aside on the next write', async () => {
+  reset();
+  await saveHistory(upload('a.zip'));
+  fs.appendFileSync(HISTORY_FILE, '{"id": "cut short');
+  assert.deepEqual(loadHistory().map(entry => entry.filename), ['a.zip']);
+
+  await saveHistory(upload('b.zip'));
+  assert.deepEqual(loadHistory().map(entry => entry.filename), ['b.zip', 'a.zip']);
+  assert.equal(lines().length, 2);
+  assert.match(fs.readFileSync(path.join(configDir, 'history.damaged.jsonl'), 'utf8'), /cut short/);
+});
+
+test('retention only applies when history is written', async () => {
+  reset();
+  for (const name of ['a.zip', 'b.zip', 'c.zip']) {
+    await saveHistory(upload(name));
+  }
+  process.env.PLD_HISTORY_MAX_ENTRIES = '2';
+
+  const before = fs.readFileSync(HISTORY_FILE, 'utf8');
+  assert.equal(loadHistory().length, 3);
+  assert.equal(fs.readFileSync(HISTORY_FILE, 'utf8'), before);
+
+  await saveHistory(upload('d.zip'));
+  assert.deepEqual(loadHistory().map(entry => entry.filename), ['d.zip', 'c.zip']);
+  assert.equal(lines().length, 2);
+  reset();
+});
+
+test('a lock held by a running process is never taken over, however old', async () => {
+  fs.writeFileSync(LOCK_FILE, String(process.ppid));
+  const longAgo = new Date(Date.now() - 60 * 60 * 1000);
+  fs.utimesSync(LOCK_FILE, longAgo, longAgo);
+  try {
+    await assert.rejects(withHistoryLock(() => {}, { timeout: 200 }), /locked by another pld process/);
+  } finally {
+    fs.unlinkSync(LOCK_FILE);
+  }
+});
+
+test('waiting for the lock leaves the event loop running', async () => {
+  fs.writeFileSync(LOCK_FILE, String(process.ppid));
+  let ticks = 0;
+  const timer = setInterval(() => ticks++, 10);
+  setTimeout(() => fs.unlinkSync(LOCK_FILE), 300);
+  try {
+    assert.equal(await withHistoryLock(() => 'done', { timeout: 2000 }), 'done');
+  } finally {
+    clearInterval(timer);
+  }
+  assert.ok(ticks >= 10, `only ${ticks} timer ticks while waiting`);
+});
+
+test('the lock of a process that exited is taken over', async () => {
+  const { pid } = spawnSync(process.execPath, ['-e', '']);
+  fs.writeFileSync(LOCK_FILE, String(pid));
+  assert.equal(await withHistoryLock(() => fs.readFileSync(LOCK_FILE, 'utf8'), { timeout: 200 }), String(process.pid));
+  assert.equal(fs.existsSync(LOCK_FILE), false);
+});
+
+test('parallel writers never lose each other\'s entries', async () => {
+  reset();
+  const script = `
+    const { saveHistory } = require(${JSON.stringify(path.join(__dirname, '..', 'src', 'history'))});
+    (async () => {
+      for (let i = 0; i < 20; i++) {
+        await saveHistory({ timestamp: new Date().toISOString(), filename: process.argv[1] + '-' + i, fileSize: '1 KB', fileId: 'x', downloadLink: 'x' });
+      }
+    })();
+  `;
+  const writers = ['a', 'b', 'c'].map(name => new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ['-e', script, name], { env: process.env, stdio: 'inherit' });
+    child.on('error', reject);
+    child.on('exit', code => (code === 0 ? resolve() : reject(new Error(`writer ${name} exited with ${code}`))));
+  }));
+  await Promise.all(writers);
+
+  assert.equal(loadHistory().length, 60);
+  assert.equal(fs.existsSync(LOCK_FILE), false);
+});
+
+test('csv cells that spreadsheets would run as formulas are kept as text', () => {
+  const entries = ['=HYPERLINK("http://evil.test")', '+1.csv', '-x', '@SUM(A1)', 'plain.txt', 'a,b.txt']
+    .map(name => ({ ...upload(name), id: name }));
+  const rows = exportHistory(entries, 'csv').split('\r\n').slice(1, -1).map(row => row.split(',')[2]);
+  assert.deepEqual(rows.slice(0, 5), ['"\'=HYPERLINK(""http://evil.test"")"', '\'+1.csv', '\'-x', '\'@SUM(A1)', 'plain.txt']);
+  assert.match(exportHistory(entries, 'csv'), /,"a,b\.txt",/);
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pld-test-'));
+process.env.PLD_CONFIG_DIR = configDir;
+for (const name of ['HTTP_PROXY', 'http_proxy', 'ALL_PROXY', 'all_proxy', 'no_proxy', 'https_proxy', 'PLD_PROXY', 'PLD_CA_BUNDLE']) {
+  delete process.env[name];
+}
+process.env.HTTPS_PROXY = 'proxy.example.com:8080';
+process.env.NO_PROXY = 'localhost,.corp.example.com,10.0.0.5:8443';
+
+const { getProxyForUrl, getAgent } = require('../src/network');
+
+test.after(() => fs.rmSync(configDir, { recursive: true, force: true }));
+
+test('the environment picks the proxy and NO_PROXY the hosts reached directly', () => {
+  assert.equal(getProxyForUrl('https://pixeldrain.com/api/file'), 'http://proxy.example.com:8080');
+  assert.equal(getProxyForUrl('http://pixeldrain.com/api/file'), null);
+  assert.equal(getProxyForUrl('https://localhost:3000/'), null);
+  assert.equal(getProxyForUrl('https://files.corp.example.com/'), null);
+  assert.equal(getProxyForUrl('https://corp.example.com/'), null);
+  assert.equal(getProxyForUrl('https://10.0.0.5:8443/'), null);
+  assert.equal(getProxyForUrl('https://10.0.0.5/'), 'http://proxy.example.com:8080');
+});
+
+test('settings are read once, every request shares the same agent', () => {
+  const agent = getAgent('https://pixeldrain.com/api/file');
+  assert.ok(agent);
+
+  fs.writeFileSync(path.join(configDir, 'config.json'), JSON.stringify({ proxy: 'socks5://elsewhere.example.com:1080' }));
+  process.env.HTTPS_PROXY = 'http://other.example.com:3128';
+  assert.equal(getProxyForUrl('https://gofile.io/'), 'http://proxy.example.com:8080');
+  assert.equal(getAgent('https://gofile.io/'), agent);
+});
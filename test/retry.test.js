@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { withRetry } = require('../src/retry');
+const { CancelledError } = require('../src/errors');
+
+function serverError(status) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers: { 'retry-after': '0' } };
+  return error;
+}
+
+test('transient failures are retried, others fail right away', async () => {
+  let calls = 0;
+  const result = await withRetry(async () => {
+    calls++;
+    if (calls < 3) throw serverError(503);
+    return 'done';
+  }, { retries: 3 });
+  assert.equal(result, 'done');
+  assert.equal(calls, 3);
+
+  calls = 0;
+  await assert.rejects(withRetry(async () => {
+    calls++;
+    throw serverError(400);
+  }, { retries: 3 }), /status code 400/);
+  assert.equal(calls, 1);
+});
+
+test('no attempt starts once the signal is aborted', async () => {
+  const controller = new AbortController();
+  controller.abort();
+  let calls = 0;
+  await assert.rejects(withRetry(async () => { calls++; }, { signal: controller.signal }), CancelledError);
+  assert.equal(calls, 0);
+
+  const retried = new AbortController();
+  await assert.rejects(withRetry(async () => {
+    calls++;
+    throw serverError(503);
+  }, { retries: 3, signal: retried.signal, onRetry: () => retried.abort() }), CancelledError);
+  assert.equal(calls, 1);
+});
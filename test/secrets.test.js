@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { openSecretStore } = require('../src/secrets');
+const { NotConfiguredError } = require('../src/errors');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pld-secrets-'));
+const filePath = path.join(dir, 'credentials.enc');
+
+// A file store whose passphrase prompt answers from a list and records the questions
+function openFileStore(answers) {
+  const questions = [];
+  const store = openSecretStore('file', {
+    filePath,
+    writePrivateFile: (file, data) => fs.writeFileSync(file, data, { mode: 0o600 }),
+    askHidden: async (question) => {
+      questions.push(question);
+      return answers.shift();
+    }
+  });
+  return { store, questions };
+}
+
+// Nothing of the store may reach the console, the library uses it too
+async function silently(run) {
+  const printed = [];
+  const originalLog = console.log;
+  const originalError = console.error;
+  console.log = console.error = (...args) => printed.push(args);
+  try {
+    return await run();
+  } finally {
+    console.log = originalLog;
+    console.error = originalError;
+    assert.deepEqual(printed, []);
+  }
+}
+
+test.beforeEach(() => {
+  delete process.env.PLD_PASSPHRASE;
+  fs.rmSync(filePath, { force: true });
+});
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('PLD_PASSPHRASE encrypts and unlocks the file, a wrong one is a NotConfiguredError', async () => {
+  process.env.PLD_PASSPHRASE = 'correct horse';
+  const { store } = openFileStore([]);
+  await store.prepare();
+  store.save({ services: { pixeldrain: { apiKey: 'secret' } } });
+  assert.ok(!fs.readFileSync(filePath, 'utf8').includes('secret'));
+
+  assert.deepEqual(await openFileStore([]).store.load(), { services: { pixeldrain: { apiKey: 'secret' } } });
+
+  process.env.PLD_PASSPHRASE = 'wrong';
+  await silently(() => assert.rejects(openFileStore([]).store.load(), (error) => {
+    assert.ok(error instanceof NotConfiguredError);
+    assert.match(error.message, /Wrong passphrase/);
+    return true;
+  }));
+});
+
+test('retries and mistakes are part of the next question, not printed', async (t) => {
+  // Passphrases are only asked on a terminal
+  const { isTTY } = process.stdin;
+  process.stdin.isTTY = true;
+  t.after(() => {
+    process.stdin.isTTY = isTTY;
+  });
+
+  const chosen = openFileStore(['', 'one', 'two', 'pass', 'pass']);
+  await silently(() => chosen.store.prepare());
+  chosen.store.save({ services: {}, googleDrive: { refreshToken: 'x' } });
+  assert.equal(chosen.questions.length, 5);
+  assert.match(chosen.questions[1], /cannot be empty/);
+  assert.match(chosen.questions[3], /do not match/);
+
+  const unlocked = openFileStore(['nope', 'pass']);
+  assert.deepEqual(await silently(() => unlocked.store.load()), { services: {}, googleDrive: { refreshToken: 'x' } });
+  assert.match(unlocked.questions[1], /Wrong passphrase, try again/);
+
+  await silently(() => assert.rejects(openFileStore(['a', 'b', 'c']).store.load(), NotConfiguredError));
+});
@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pld-test-'));
+process.env.PLD_CONFIG_DIR = configDir;
+
+const { HttpError, loadServeToken, receiveUpload, startApiServer } = require('../src/serve');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pld-serve-'));
+const token = loadServeToken();
+let server;
+let address;
+let received = 0;
+
+// Echoes what receiveUpload stored, files of the "small" service may hold 10 bytes
+const routes = [
+  {
+    method: 'GET',
+    path: /^\/health$/,
+    public: true,
+    handler: async () => [200, { status: 'ok' }]
+  },
+  {
+    method: 'POST',
+    path: /^\/uploads$/,
+    handler: async (req, match, url) => {
+      const tempFile = path.join(tempDir, String(++received));
+      const maxSize = (fields) => ((url.searchParams.get('service') || fields.service) === 'small' ? 10 : 0);
+      const body = await receiveUpload(req, tempFile, { maxSize });
+      const content = fs.readFileSync(tempFile, 'utf8');
+      fs.rmSync(tempFile);
+      return [200, { ...body, content }];
+    }
+  },
+  {
+    method: 'GET',
+    path: /^\/teapot$/,
+    handler: async () => {
+      throw new HttpError(418, 'No coffee');
+    }
+  }
+];
+
+function request(pathname, { method = 'GET', headers = {}, body, duplex } = {}) {
+  return fetch(address + pathname, {
+    method,
+    headers: { Authorization: `Bearer ${token}`, ...headers },
+    body,
+    duplex
+  }).then(async response => ({ status: response.status, body: await response.json() }));
+}
+
+function multipart(parts) {
+  const boundary = 'pld-test-boundary';
+  const chunks = parts.map(({ name, filename, content }) =>
+    `--${boundary}\r\nContent-Disposition: form-data; name="${name}"${filename ? `; filename="${filename}"` : ''}\r\n` +
+    `${filename ? 'Content-Type: application/octet-stream\r\n' : ''}\r\n${content}\r\n`);
+  return {
+    headers: { 'Content-Type': `multipart/form-data; boundary=${boundary}` },
+    body: chunks.join('') + `--${boundary}--\r\n`
+  };
+}
+
+test.before(async () => {
+  server = await startApiServer({ host: '127.0.0.1', port: 0, token, routes });
+  address = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(configDir, { recursive: true, force: true });
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('every route but the public ones needs the token', async () => {
+  assert.equal((await request('/health', { headers: { Authorization: '' } })).status, 200);
+
+  const missing = await request('/uploads', { method: 'POST', headers: { Authorization: '' }, body: 'x' });
+  assert.equal(missing.status, 401);
+  assert.match(missing.body.error, /serve-token/);
+  assert.equal((await request('/uploads', { method: 'POST', headers: { Authorization: 'Bearer wrong' }, body: 'x' })).status, 401);
+
+  assert.deepEqual(await request('/teapot'), { status: 418, body: { error: 'No coffee' } });
+  assert.equal((await request('/nowhere')).status, 404);
+  assert.equal((await request('/health', { method: 'DELETE' })).status, 405);
+});
+
+test('a form stores its first file and keeps the text fields', async () => {
+  const form = multipart([
+    { name: 'service', content: 'pd' },
+    { name: 'file', filename: 'docs/notes.txt', content: 'line one\r\n--not a boundary' },
+    { name: 'other', filename: 'second.txt', content: 'skipped' },
+    { name: 'expire', content: '7d' }
+  ]);
+  const { status, body } = await request('/uploads', { method: 'POST', ...form });
+
+  assert.equal(status, 200);
+  assert.equal(body.name, 'notes.txt');
+  assert.equal(body.content, 'line one\r\n--not a boundary');
+  assert.equal(body.size, 26);
+  assert.deepEqual(body.fields, { service: 'pd', expire: '7d' });
+});
+
+test('a raw body is stored as it is', async () => {
+  const { status, body } = await request('/uploads?name=build.zip', { method: 'POST', body: Buffer.from('raw bytes') });
+  assert.equal(status, 200);
+  assert.deepEqual(body, { name: null, size: 9, fields: {}, content: 'raw bytes' });
+});
+
+test('uploads over the limit are refused with 413 and nothing is kept', async () => {
+  const raw = await request('/uploads?service=small', { method: 'POST', body: 'more than ten bytes' });
+  assert.equal(raw.status, 413);
+  assert.match(raw.body.error, /over the 10 Bytes limit/);
+
+  // Sent in chunks without a length, so the limit is found while counting
+  const chunked = await request('/uploads?service=small', {
+    method: 'POST',
+    body: new ReadableStream({
+      start(controller) {
+        controller.enqueue(new TextEncoder().encode('0123456789'));
+        controller.enqueue(new TextEncoder().encode('abc'));
+        controller.close();
+      }
+    }),
+    duplex: 'half'
+  });
+  assert.equal(chunked.status, 413);
+
+  const form = multipart([
+    { name: 'service', content: 'small' },
+    { name: 'file', filename: 'big.txt', content: 'more than ten bytes' }
+  ]);
+  const refused = await request('/uploads', { method: 'POST', ...form });
+  assert.equal(refused.status, 413);
+  assert.match(refused.body.error, /big\.txt is over the 10 Bytes limit/);
+
+  // Removing the partial file waits for its stream to close
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.deepEqual(fs.readdirSync(tempDir), []);
+
+  // Within the limit it goes through
+  const small = await request('/uploads?service=small&name=a.txt', { method: 'POST', body: 'ten bytes!' });
+  assert.equal(small.status, 200);
+});
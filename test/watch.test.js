@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pld-test-'));
+process.env.PLD_CONFIG_DIR = configDir;
+
+const { WATCH_STATE_FILE, watchFolder } = require('../src/watch');
+
+// The folder is listed once a second, files are handed over on the scan after they settle
+function waitFor(condition, timeout = 5000) {
+  const start = Date.now();
+  return new Promise((resolve, reject) => {
+    const timer = setInterval(() => {
+      if (condition()) {
+        clearInterval(timer);
+        resolve();
+      } else if (Date.now() - start > timeout) {
+        clearInterval(timer);
+        reject(new Error('Timed out'));
+      }
+    }, 50);
+  });
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function createFolder(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pld-watch-'));
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), content);
+  }
+  return dir;
+}
+
+function watchState(dir) {
+  return JSON.parse(fs.readFileSync(WATCH_STATE_FILE, 'utf8'))[dir];
+}
+
+test.after(() => fs.rmSync(configDir, { recursive: true, force: true }));
+
+test('files already in a new folder are left alone, new ones are handed over once', async () => {
+  const dir = createFolder({ 'old.txt': 'old' });
+  const ready = [];
+  let watcher = watchFolder(dir, { settle: 0, onReady: async (file) => {
+    ready.push(file.relativePath);
+    return { downloadLink: 'https://example.com/' + file.relativePath };
+  } });
+  try {
+    assert.ok(watchState(dir)['old.txt'].seenAt);
+    fs.writeFileSync(path.join(dir, 'new.txt'), 'new');
+    await waitFor(() => ready.length > 0);
+    assert.deepEqual(ready, ['new.txt']);
+    assert.equal(watchState(dir)['new.txt'].downloadLink, 'https://example.com/new.txt');
+  } finally {
+    watcher.stop();
+  }
+
+  // Nothing is sent twice after a restart
+  watcher = watchFolder(dir, { settle: 0, onReady: async (file) => ready.push(file.relativePath) });
+  await delay(2500);
+  watcher.stop();
+  assert.deepEqual(ready, ['new.txt']);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('include, exclude, subfolders and temporary files', async () => {
+  const dir = createFolder({});
+  const ready = [];
+  const watcher = watchFolder(dir, {
+    include: ['*.png', '*.txt'],
+    exclude: ['skip.txt'],
+    recursive: true,
+    skipDirs: [path.join(dir, 'done')],
+    settle: 0,
+    onReady: async (file) => ready.push(file.relativePath)
+  });
+  try {
+    for (const name of ['a.png', 'sub/b.txt', 'c.jpg', 'skip.txt', 'd.txt.part', 'done/e.png']) {
+      fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+      fs.writeFileSync(path.join(dir, name), name);
+    }
+    await waitFor(() => ready.length >= 2);
+    await delay(1500);
+    assert.deepEqual(ready.sort(), ['a.png', 'sub/b.txt']);
+  } finally {
+    watcher.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a file that was gone is not recorded and is handed over when it comes back', async () => {
+  const dir = createFolder({});
+  const ready = [];
+  const watcher = watchFolder(dir, { settle: 0, onReady: async (file) => {
+    ready.push(file.relativePath);
+    return ready.length === 1 ? null : { downloadLink: 'https://example.com/back.txt' };
+  } });
+  try {
+    fs.writeFileSync(path.join(dir, 'back.txt'), 'same content');
+    await waitFor(() => ready.length === 1);
+    assert.equal(watchState(dir)['back.txt'], undefined);
+
+    await waitFor(() => ready.length === 2);
+    assert.equal(watchState(dir)['back.txt'].downloadLink, 'https://example.com/back.txt');
+  } finally {
+    watcher.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a rejected file is only offered again once it changes', async () => {
+  const dir = createFolder({});
+  const ready = [];
+  const watcher = watchFolder(dir, { settle: 0, onReady: async (file) => {
+    ready.push(file.size);
+    if (ready.length === 1) throw new Error('refused');
+    return { downloadLink: 'https://example.com/retry.txt' };
+  } });
+  try {
+    fs.writeFileSync(path.join(dir, 'retry.txt'), 'a');
+    await waitFor(() => ready.length === 1);
+    await delay(2500);
+    assert.deepEqual(ready, [1]);
+
+    fs.writeFileSync(path.join(dir, 'retry.txt'), 'ab');
+    await waitFor(() => ready.length === 2);
+    assert.deepEqual(ready, [1, 2]);
+  } finally {
+    watcher.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});